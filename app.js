@@ -2,17 +2,68 @@
    MEBLOVE — High-end interactions (JS)
    File: app.js
    Features:
+   - Components: data-component registry (multiple instances, destroy, late markup), window.Meblove
    - Mobile nav with outside-click + ESC
+   - i18n: pl/en/de/uk switcher, data-i18n bindings (data/i18n/*.json)
    - Reveal-on-scroll (IntersectionObserver)
    - Hero counters (count-up)
-   - Projects filters
-   - Reviews carousel controls
-   - Modal (quote) with focus trap + ESC + body lock
-   - Forms validation + mailto builder (no backend needed)
+   - Projects rendered from JSON + filters
+   - Reviews carousel: dots, autoplay, drag, loop
+   - Reviews from data/reviews.json: rating summary, service filter, JSON-LD
+   - Dialogs: stackable, [data-open-modal] / [data-close-modal], focus restore, inert background, open/close events
+   - Quote modal: wizard reset + service prefill on open
+   - Project lightbox: gallery, materials, deep links (#projekt-<id>)
+   - Multi-step quote wizard (service-dependent steps)
+   - Measurement booking: week view of free slots (JSON), re-check on submit, .ics invitation
+   - Form attachments: drag & drop, thumbnails, photo downscaling
+   - Price estimator (configured JSON pricing table -> quote details)
+   - Forms validation + transport (HTTP endpoint, mailto fallback)
+   - Form drafts: localStorage autosave + restore prompt
+   - Spam protection: honeypot, fill time, rate limit, proof-of-work (Web Worker)
+   - Cookie consent: banner, preferences dialog, gated scripts/embeds, window.MebloveConsent
+   - Conversion analytics: batched events via sendBeacon, consent-gated, debug mode
+   - Offline: service worker (sw.js), web app manifest, outbox for submissions made offline
+   - Sticky header: topbar collapses after the hero, header hides on scroll down (reduced motion aware)
+   - SEO: JSON-LD (business, services, FAQ, breadcrumbs), title/meta/Open Graph per section or project
+   - FAQ: deep links (#faq-<slug>), search with highlights, expand/collapse all, animated answers
    - Smooth scroll to anchors (safe)
+   - Scroll-spy: aria-current nav link, hash sync, back/forward scroll restore, reading progress
    - Scroll-to-top
    - Subtle parallax / pointer tilt for hero (optional, reduced motion aware)
+   Loaded as an ES module; shared modules in js/: DOM helpers, i18n core, form rules, filters,
+   component registry, dialog manager, form drafts (covered by test/, npm test)
    ========================================= */
+import { $, $$, decodeHash, getFocusable, fillTemplate } from "./js/dom.js";
+import {
+  DEFAULT_LANG,
+  LANGUAGE_EVENT,
+  lang,
+  useDictionary,
+  onLanguageChange,
+  t,
+  tn,
+  lookup,
+} from "./js/i18n.js";
+import {
+  isEmailValid,
+  serializeForm,
+  buildMailto,
+  mergeTextBlock,
+  findServiceOption,
+  contactSchema,
+  quoteSchema,
+  fieldError,
+} from "./js/forms.js";
+import { normalizeText, parseTags, searchWords, matchesFilter } from "./js/filters.js";
+import {
+  defineComponent,
+  mountComponents,
+  destroyComponents,
+  getComponent,
+  startComponents,
+} from "./js/components.js";
+import { DIALOG_OPEN_EVENT, DIALOG_CLOSE_EVENT, openDialog, closeDialog, enableDialogs } from "./js/dialogs.js";
+import { attachDraft } from "./js/drafts.js";
 
 (() => {
   "use strict";
@@ -20,35 +71,14 @@
   /* ----------------------------
      Helpers
   ---------------------------- */
-  const $ = (sel, root = document) => root.querySelector(sel);
-  const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
-
   const prefersReducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
 
   const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
 
-  const lockBodyScroll = (lock) => {
-    const body = document.body;
-    if (lock) {
-      const scrollBarWidth = window.innerWidth - document.documentElement.clientWidth;
-      body.dataset.scrollLock = "1";
-      body.style.overflow = "hidden";
-      body.style.paddingRight = scrollBarWidth > 0 ? `${scrollBarWidth}px` : "";
-    } else {
-      delete body.dataset.scrollLock;
-      body.style.overflow = "";
-      body.style.paddingRight = "";
-    }
-  };
-
-  const isEmailValid = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i.test(String(email || "").trim());
-
-  const serializeForm = (form) => {
-    const data = new FormData(form);
-    const obj = {};
-    for (const [k, v] of data.entries()) obj[k] = String(v).trim();
-    // checkbox fields (consent) won't appear if unchecked; handle separately when needed
-    return obj;
+  const fetchJSON = async (url, init = {}) => {
+    const res = await fetch(url, { ...init, headers: { Accept: "application/json" } });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    return res.json();
   };
 
   const setNote = (el, msg, tone = "neutral") => {
@@ -57,30 +87,176 @@
     el.dataset.tone = tone; // CSS not necessary; left for extensibility
   };
 
-  const markInvalid = (input, state) => {
-    if (!input) return;
-    if (state) input.classList.add("is-invalid");
-    else input.classList.remove("is-invalid");
+  /* ----------------------------
+     Components
+     - registry: js/components.js (defineComponent, data-component="name", destroy())
+     - window.Meblove: define(), mount(), destroy(), get(), openDialog(), closeDialog() for other scripts
+  ---------------------------- */
+  const enableComponents = () => {
+    startComponents();
+
+    window.Meblove = {
+      define: defineComponent,
+      mount: mountComponents,
+      destroy: destroyComponents,
+      get: getComponent,
+      openDialog,
+      closeDialog,
+    };
   };
 
-  const closeOnEscape = (onEscape) => {
-    const handler = (e) => {
-      if (e.key === "Escape") onEscape(e);
-    };
-    document.addEventListener("keydown", handler);
-    return () => document.removeEventListener("keydown", handler);
+  /* ----------------------------
+     i18n
+     - Polish is the source language: static copy lives in the markup,
+       script messages in MESSAGES (js/i18n.js, with t / tn / lookup)
+     - other languages: data/i18n/<code>.json, a flat "key": "text" map
+       with {name} placeholders and plural forms as key.one/few/many/other
+     - bindings: data-i18n="key" (text; icons and nested tags survive),
+       data-i18n-html="key" (trusted local dictionaries only),
+       data-i18n-attr="aria-label:key, placeholder:key"
+     - choice persisted in localStorage; first visit follows navigator.languages
+     - components re-render their own text on LANGUAGE_EVENT
+  ---------------------------- */
+  const LANGUAGES = {
+    pl: { label: "PL", name: "Polski" },
+    en: { label: "EN", name: "English" },
+    de: { label: "DE", name: "Deutsch" },
+    uk: { label: "UA", name: "Українська" },
+  };
+  const LANG_STORAGE_KEY = "meblove:lang";
+  const I18N_SRC = "data/i18n/";
+
+  let languageRequest = 0;
+  const dictionaries = new Map();
+  const i18nOriginals = new WeakMap();
+
+  // Polish text as first seen in the DOM, so switching back needs no pl dictionary
+  const rememberOriginal = (el, slot, read) => {
+    const saved = i18nOriginals.get(el) || {};
+    if (!(slot in saved)) saved[slot] = read();
+    i18nOriginals.set(el, saved);
+    return saved[slot];
   };
 
-  const onOutsideClick = (rootEl, onOutside) => {
-    const handler = (e) => {
-      if (!rootEl.contains(e.target)) onOutside(e);
-    };
-    document.addEventListener("mousedown", handler);
-    document.addEventListener("touchstart", handler, { passive: true });
-    return () => {
-      document.removeEventListener("mousedown", handler);
-      document.removeEventListener("touchstart", handler);
-    };
+  const applyTranslations = (root = document) => {
+    const within = (sel) => [...(root.matches && root.matches(sel) ? [root] : []), ...$$(sel, root)];
+
+    within("[data-i18n]").forEach((el) => {
+      // elements with icons/markup: only the first text node is translated
+      const node = el.children.length
+        ? Array.from(el.childNodes).find((n) => n.nodeType === Node.TEXT_NODE && n.nodeValue.trim())
+        : null;
+      const source = rememberOriginal(el, "text", () =>
+        (node ? node.nodeValue : el.textContent).replace(/\s+/g, " ").trim()
+      );
+      const value = lookup(el.dataset.i18n, source);
+      if (node) node.nodeValue = node.nodeValue.replace(/\S(?:[\s\S]*\S)?/, value);
+      else if (!el.children.length) el.textContent = value;
+    });
+
+    within("[data-i18n-html]").forEach((el) => {
+      const source = rememberOriginal(el, "html", () => el.innerHTML.trim());
+      el.innerHTML = lookup(el.dataset.i18nHtml, source);
+    });
+
+    within("[data-i18n-attr]").forEach((el) => {
+      el.dataset.i18nAttr.split(",").forEach((binding) => {
+        const [attr, key] = binding.split(":").map((part) => part.trim());
+        if (!attr || !key) return;
+        const source = rememberOriginal(el, `@${attr}`, () => el.getAttribute(attr) || "");
+        el.setAttribute(attr, lookup(key, source));
+      });
+    });
+  };
+
+  const readStoredLanguage = () => {
+    try {
+      return localStorage.getItem(LANG_STORAGE_KEY);
+    } catch (err) {
+      return null; // storage blocked (privacy mode)
+    }
+  };
+
+  const storeLanguage = (code) => {
+    try {
+      localStorage.setItem(LANG_STORAGE_KEY, code);
+    } catch (err) {
+      // storage blocked: the choice lasts for this page view only
+    }
+  };
+
+  const detectLanguage = () => {
+    const stored = readStoredLanguage();
+    if (stored && stored in LANGUAGES) return stored;
+
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    const match = preferred.map((tag) => String(tag || "").toLowerCase().split("-")[0]).find((code) => code in LANGUAGES);
+    return match || DEFAULT_LANG;
+  };
+
+  const loadDictionary = (code) => {
+    if (code === DEFAULT_LANG) return Promise.resolve({});
+    if (!dictionaries.has(code)) {
+      const request = fetchJSON(`${I18N_SRC}${code}.json`).catch((err) => {
+        dictionaries.delete(code); // allow a retry on the next switch
+        throw err;
+      });
+      dictionaries.set(code, request);
+    }
+    return dictionaries.get(code);
+  };
+
+  const syncLanguageSwitcher = () => {
+    $$("[data-lang-switcher] [data-lang]").forEach((btn) => {
+      btn.setAttribute("aria-pressed", btn.dataset.lang === lang ? "true" : "false");
+    });
+  };
+
+  const setLanguage = async (code, { persist = true } = {}) => {
+    const target = code in LANGUAGES ? code : DEFAULT_LANG;
+    const request = ++languageRequest;
+
+    let dict;
+    try {
+      dict = await loadDictionary(target);
+    } catch (err) {
+      syncLanguageSwitcher();
+      return lang; // dictionary unavailable: keep the current language
+    }
+    if (request !== languageRequest) return lang; // a newer choice won
+
+    useDictionary(target, dict);
+    document.documentElement.lang = lang;
+    if (persist) storeLanguage(lang);
+
+    applyTranslations();
+    syncLanguageSwitcher();
+    document.dispatchEvent(new CustomEvent(LANGUAGE_EVENT, { detail: { lang } }));
+    return lang;
+  };
+
+  const enableI18n = () => {
+    const switcher = $("[data-lang-switcher]");
+    if (switcher) {
+      switcher.textContent = "";
+      Object.entries(LANGUAGES).forEach(([code, { label, name }]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "lang__btn";
+        btn.lang = code;
+        btn.dataset.lang = code;
+        btn.title = name;
+        btn.setAttribute("aria-label", name);
+        btn.textContent = label;
+        btn.addEventListener("click", () => setLanguage(code));
+        switcher.append(btn);
+      });
+      switcher.hidden = false;
+    }
+
+    syncLanguageSwitcher();
+    const initial = detectLanguage();
+    if (initial !== DEFAULT_LANG) setLanguage(initial, { persist: false });
   };
 
   /* ----------------------------
@@ -89,10 +265,110 @@
   const yearEl = $("#year");
   if (yearEl) yearEl.textContent = String(new Date().getFullYear());
 
+  /* ----------------------------
+     Sticky header (condense / hide on scroll)
+     - bar heights exposed as --topbar-h / --header-h on <html> (anchor offsets, scroll-margin-top)
+     - the topbar collapses once the hero is scrolled past (body.is-condensed)
+     - the header hides while scrolling down and returns on scroll up (body.is-header-hidden)
+     - reduced motion: both bars stay put
+  ---------------------------- */
+  const HEADER_TOLERANCE = 8; // px of travel before a direction change counts
+  const HEADER_HOLD = 1200; // ms the header stays visible after an anchor jump
+  let topbarHeight = 0;
+  let headerHeight = 0;
+  let condenseAt = Infinity; // scrollY past which the topbar is collapsed
+  let headerHeldUntil = 0;
+
+  // Height covered by the sticky bars once the page sits at scroll position y
+  const stickyOffset = (y = window.scrollY) =>
+    headerHeight + (!prefersReducedMotion && y > condenseAt ? 0 : topbarHeight);
+
+  // Keeps the header visible while a programmatic scroll runs downwards
+  const holdHeader = () => {
+    headerHeldUntil = Date.now() + HEADER_HOLD;
+    document.body.classList.remove("is-header-hidden");
+  };
+
+  const enableStickyHeader = () => {
+    const topbar = $(".topbar");
+    const header = $(".header");
+    const nav = $(".nav");
+    const hero = $(".hero");
+    const body = document.body;
+    let lastY = window.scrollY;
+    let ticking = false;
+
+    const measure = () => {
+      topbarHeight = topbar ? topbar.offsetHeight : 0;
+      headerHeight = header ? header.offsetHeight : 0;
+      condenseAt = hero ? hero.getBoundingClientRect().bottom + window.scrollY - topbarHeight - headerHeight : Infinity;
+      document.documentElement.style.setProperty("--topbar-h", `${topbarHeight}px`);
+      document.documentElement.style.setProperty("--header-h", `${headerHeight}px`);
+    };
+
+    const update = () => {
+      const y = window.scrollY;
+      const condensed = y > condenseAt;
+      body.classList.toggle("is-condensed", condensed);
+
+      const delta = y - lastY;
+      if (Math.abs(delta) < HEADER_TOLERANCE) return;
+      lastY = y;
+
+      const keep =
+        !condensed ||
+        delta < 0 ||
+        Date.now() < headerHeldUntil ||
+        getComponent(nav, "nav")?.isOpen() ||
+        header?.contains(document.activeElement);
+      body.classList.toggle("is-header-hidden", !keep);
+    };
+
+    measure();
+    if (prefersReducedMotion) {
+      window.addEventListener("resize", measure);
+      return;
+    }
+
+    window.addEventListener(
+      "scroll",
+      () => {
+        if (ticking) return;
+        ticking = true;
+        requestAnimationFrame(() => {
+          ticking = false;
+          update();
+        });
+      },
+      { passive: true }
+    );
+
+    // heights change with the viewport and with wrapped nav labels after a language switch
+    if ("ResizeObserver" in window) {
+      const ro = new ResizeObserver(measure);
+      [topbar, header, hero].filter(Boolean).forEach((el) => ro.observe(el));
+    } else {
+      window.addEventListener("resize", measure);
+    }
+
+    // keyboard users tabbing into a hidden header get it back
+    header?.addEventListener("focusin", () => body.classList.remove("is-header-hidden"));
+
+    update();
+  };
+
   /* ----------------------------
      Smooth anchor scroll (safe)
      - Keeps native behavior for external links
   ---------------------------- */
+  const SCROLL_GAP = 14; // breathing room between the header and the section top
+
+  const scrollToEl = (target, { behavior = prefersReducedMotion ? "auto" : "smooth" } = {}) => {
+    const y = window.scrollY + target.getBoundingClientRect().top;
+    holdHeader();
+    window.scrollTo({ top: y - stickyOffset(y) - SCROLL_GAP, behavior });
+  };
+
   const enableSmoothAnchors = () => {
     $$('a[href^="#"]').forEach((a) => {
       const href = a.getAttribute("href");
@@ -104,570 +380,3514 @@
         if (!target) return;
 
         e.preventDefault();
+        pushSectionHash(id);
+        // #faq-… links open their question
+        getComponent(target.closest("[data-accordion]"), "accordion")?.reveal(target);
+        scrollToEl(target);
+
+        // close nav if open
+        getComponent($(".nav"), "nav")?.close();
+      });
+    });
+  };
 
-        // account for sticky topbar+header height
-        const topbar = $(".topbar");
-        const header = $(".header");
-        const offset =
-          (topbar ? topbar.getBoundingClientRect().height : 0) +
-          (header ? header.getBoundingClientRect().height : 0) +
-          14;
+  /* ----------------------------
+     Scroll-spy + reading progress
+     - the nav link of the section under the header gets aria-current="location"
+     - the hash follows that section (replaceState, no jump)
+     - anchor clicks add history entries; back/forward restore the saved scroll position
+     - thin progress bar at the bottom of the header
+  ---------------------------- */
+  const SCROLL_SAVE_DELAY = 200; // ms; browsers throttle history.replaceState
+  let currentSection = "";
+  let scrollSaveTimer = 0;
+
+  // Only section hashes are rewritten, so deep links like #projekt-… stay intact
+  const hashSection = () => {
+    const hash = decodeHash();
+    const el = hash ? document.getElementById(hash) : null;
+    return el && el.matches("main > section[id]") ? el : null;
+  };
 
-        const y = window.scrollY + target.getBoundingClientRect().top - offset;
-        window.scrollTo({ top: y, behavior: prefersReducedMotion ? "auto" : "smooth" });
+  const ownsHash = () => !window.location.hash || !!hashSection();
 
-        // close nav if open
-        closeMobileNav();
+  const saveScrollState = () => {
+    clearTimeout(scrollSaveTimer);
+    scrollSaveTimer = 0;
+    const { pathname, search, href } = window.location;
+    const url = ownsHash() ? `${pathname}${search}${currentSection ? `#${currentSection}` : ""}` : href;
+    window.history.replaceState({ ...window.history.state, scrollY: Math.round(window.scrollY) }, "", url);
+  };
+
+  const scheduleScrollSave = () => {
+    clearTimeout(scrollSaveTimer);
+    scrollSaveTimer = setTimeout(saveScrollState, SCROLL_SAVE_DELAY);
+  };
+
+  // Remembers where the visitor was, then adds an entry for the anchor target
+  const pushSectionHash = (id) => {
+    saveScrollState();
+    if (window.location.hash !== `#${id}`) window.history.pushState({ scrollY: null }, "", `#${id}`);
+    setSeoContext({ section: hashSection()?.id || "" });
+  };
+
+  const enableScrollSpy = () => {
+    const links = $$("#navMenu .nav__link[href^='#']");
+    const sections = $$("main > section[id]:not(.hero)"); // the hero is the top of the page: no hash
+    const bar = $("[data-reading-progress]");
+    const visible = new Set();
+    let observer = null;
+    let ticking = false;
+
+    if ("scrollRestoration" in window.history) window.history.scrollRestoration = "manual";
+
+    const setCurrent = (id) => {
+      if (id === currentSection) return;
+      currentSection = id;
+      links.forEach((a) => {
+        if (a.getAttribute("href") === `#${id}`) a.setAttribute("aria-current", "location");
+        else a.removeAttribute("aria-current");
       });
+      scheduleScrollSave();
+    };
+
+    // the last section may be too short to ever reach the line under the header
+    const pick = () => {
+      const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+      const hit = atBottom ? sections[sections.length - 1] : sections.find((section) => visible.has(section));
+      setCurrent(hit ? hit.id : "");
+    };
+
+    // A 1px line just under the sticky header: the section crossing it is the current one
+    const observe = () => {
+      if (!("IntersectionObserver" in window) || !sections.length) return;
+      observer?.disconnect();
+      visible.clear();
+      const top = Math.round(stickyOffset(Infinity) + SCROLL_GAP + 2);
+      const bottom = Math.max(0, window.innerHeight - top - 1);
+      observer = new IntersectionObserver(
+        (entries) => {
+          entries.forEach((entry) => {
+            if (entry.isIntersecting) visible.add(entry.target);
+            else visible.delete(entry.target);
+          });
+          pick();
+        },
+        { rootMargin: `-${top}px 0px -${bottom}px 0px` }
+      );
+      sections.forEach((section) => observer.observe(section));
+    };
+
+    const updateProgress = () => {
+      const max = document.documentElement.scrollHeight - window.innerHeight;
+      if (bar) bar.style.transform = `scaleX(${max > 0 ? clamp(window.scrollY / max, 0, 1) : 0})`;
+    };
+
+    window.addEventListener(
+      "scroll",
+      () => {
+        if (ticking) return;
+        ticking = true;
+        requestAnimationFrame(() => {
+          ticking = false;
+          updateProgress();
+          if (observer) pick();
+          scheduleScrollSave();
+        });
+      },
+      { passive: true }
+    );
+
+    let resizeTimer = 0;
+    window.addEventListener("resize", () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => {
+        observe();
+        updateProgress();
+      }, 150);
+    });
+
+    window.addEventListener("popstate", (e) => {
+      const y = e.state && e.state.scrollY;
+      const target = hashSection();
+      setSeoContext({ section: target ? target.id : "" });
+      if (typeof y === "number") window.scrollTo({ top: y, behavior: "auto" });
+      else if (target) scrollToEl(target, { behavior: "auto" });
     });
+
+    // Reload keeps the saved position; a shared #section link lands below the header
+    const saved = window.history.state && window.history.state.scrollY;
+    const target = hashSection();
+    if (target) setSeoContext({ section: target.id });
+    if (typeof saved === "number") window.scrollTo({ top: saved, behavior: "auto" });
+    else if (target) scrollToEl(target, { behavior: "auto" });
+
+    observe();
+    updateProgress();
   };
 
   /* ----------------------------
      Mobile navigation
+     - component "nav": .nav__toggle opens .nav__menu
+     - ESC, a click outside and a resize to desktop close it
+  ---------------------------- */
+  const NAV_BREAKPOINT = 760; // px, mobile layout in styles.css
+
+  const createMobileNav = (root, scope) => {
+    const toggle = $(".nav__toggle", root);
+    const menu = $(".nav__menu", root);
+    if (!toggle || !menu) return {};
+
+    let removeEsc = null;
+    let removeOutside = null;
+
+    const isOpen = () => menu.classList.contains("is-open");
+
+    const close = () => {
+      toggle.classList.remove("is-open");
+      menu.classList.remove("is-open");
+      toggle.setAttribute("aria-expanded", "false");
+
+      removeEsc?.();
+      removeOutside?.();
+      removeEsc = null;
+      removeOutside = null;
+    };
+
+    const open = () => {
+      toggle.classList.add("is-open");
+      menu.classList.add("is-open");
+      toggle.setAttribute("aria-expanded", "true");
+
+      if (!removeEsc) removeEsc = scope.escape(close);
+      if (!removeOutside) {
+        removeOutside = scope.outside(menu, (e) => {
+          // allow clicking the toggle itself without closing before it toggles
+          if (toggle.contains(e.target)) return;
+          close();
+        });
+      }
+    };
+
+    scope.listen(toggle, "click", () => (isOpen() ? close() : open()));
+    scope.listen(window, "resize", () => {
+      if (window.innerWidth > NAV_BREAKPOINT) close();
+    });
+
+    return { open, close, isOpen, destroy: close };
+  };
+
+  defineComponent("nav", createMobileNav);
+
+  /* ----------------------------
+     Reveal-on-scroll
   ---------------------------- */
-  const navToggle = $(".nav__toggle");
-  const navMenu = $("#navMenu");
-  let removeNavEsc = null;
-  let removeNavOutside = null;
+  let revealObserver = null;
 
-  const openMobileNav = () => {
-    if (!navToggle || !navMenu) return;
+  // Also used for markup rendered later (e.g. projects from JSON)
+  const observeReveals = (nodes) => {
+    if (!nodes.length) return;
 
-    navToggle.classList.add("is-open");
-    navMenu.classList.add("is-open");
-    navToggle.setAttribute("aria-expanded", "true");
+    if (prefersReducedMotion || !("IntersectionObserver" in window)) {
+      nodes.forEach((n) => n.classList.add("is-visible"));
+      return;
+    }
 
-    if (!removeNavEsc) {
-      removeNavEsc = closeOnEscape(() => closeMobileNav());
+    if (!revealObserver) {
+      revealObserver = new IntersectionObserver(
+        (entries) => {
+          for (const e of entries) {
+            if (e.isIntersecting) {
+              e.target.classList.add("is-visible");
+              revealObserver.unobserve(e.target);
+            }
+          }
+        },
+        { root: null, threshold: 0.12 }
+      );
     }
-    if (!removeNavOutside) {
-      removeNavOutside = onOutsideClick(navMenu, (e) => {
-        // allow clicking the toggle itself without closing before it toggles
-        if (navToggle.contains(e.target)) return;
-        closeMobileNav();
-      });
+
+    nodes.forEach((n) => revealObserver.observe(n));
+  };
+
+  const enableReveals = () => observeReveals($$(".reveal"));
+
+  /* ----------------------------
+     Hero counters
+     - component "counter" on [data-count="<n>"]: counts up once the number is in view
+  ---------------------------- */
+  const COUNTER_DURATION = 1200; // ms
+
+  const createCounter = (el, { cleanup }) => {
+    const to = Number(el.dataset.count || "0");
+    let raf = 0;
+
+    const run = () => {
+      const duration = prefersReducedMotion ? 1 : COUNTER_DURATION;
+      const start = performance.now();
+      const from = 0;
+
+      const tick = (now) => {
+        const t = clamp((now - start) / duration, 0, 1);
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2; // easeInOutQuad
+        const val = Math.round(from + (to - from) * eased);
+
+        el.textContent = String(val);
+
+        if (t < 1) raf = requestAnimationFrame(tick);
+        else el.textContent = String(to);
+      };
+
+      raf = requestAnimationFrame(tick);
+    };
+
+    cleanup(() => cancelAnimationFrame(raf));
+
+    if (!("IntersectionObserver" in window) || prefersReducedMotion) {
+      run();
+      return;
     }
+
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (!entries.some((e) => e.isIntersecting)) return;
+        io.disconnect();
+        run();
+      },
+      { threshold: 0.25 }
+    );
+    io.observe(el);
+    cleanup(() => io.disconnect());
+  };
+
+  defineComponent("counter", createCounter);
+
+  /* ----------------------------
+     Projects (rendered from JSON)
+     - data: #projectGrid[data-projects-src]
+     - markup: <template id="projectTemplate"> / <template id="filterTemplate">
+     - filter buttons only for tags present in the data, with counts
+  ---------------------------- */
+  const projectsById = new Map();
+
+  const renderProjectCard = (tpl, project) => {
+    const card = fillTemplate(tpl, {
+      title: project.title,
+      meta: project.meta,
+      place: [project.city, project.year].filter(Boolean).join(" • "),
+    });
+
+    card.href = `${PROJECT_HASH}${encodeURIComponent(project.id)}`;
+    card.dataset.project = project.id;
+    card.dataset.tags = (project.tags || []).join(",");
+    card.setAttribute("aria-label", t("projects.cardLabel", { title: project.title }));
+
+    const media = $(".project__media", card);
+    const cover = (project.images || [])[0];
+    if (cover && cover.src) media.style.backgroundImage = `url("${encodeURI(cover.src)}")`;
+    else media.classList.add(`media--${(cover && cover.placeholder) || "a"}`);
+
+    return card;
+  };
+
+  const renderProjectFilters = (container, tpl, { tags: labels = {}, projects }) => {
+    const counts = new Map();
+    projects.forEach((p) => (p.tags || []).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1)));
+
+    // known tags keep the order from the data file, unknown ones go last
+    const keys = [
+      ...Object.keys(labels).filter((t) => counts.has(t)),
+      ...Array.from(counts.keys()).filter((t) => !(t in labels)),
+    ];
+
+    const entries = [
+      ["all", t("projects.filterAll"), projects.length],
+      ...keys.map((tag) => [tag, labels[tag] || tag, counts.get(tag)]),
+    ];
+
+    container.textContent = "";
+    entries.forEach(([key, label, count], i) => {
+      const btn = fillTemplate(tpl, { label, count });
+      btn.dataset.filter = key;
+      if (key === "all") $("[data-field='label']", btn).dataset.i18n = "projects.filterAll";
+      btn.classList.toggle("is-active", i === 0);
+      btn.setAttribute("aria-selected", i === 0 ? "true" : "false");
+      container.append(btn);
+    });
   };
 
-  const closeMobileNav = () => {
-    if (!navToggle || !navMenu) return;
+  const enableProjects = async () => {
+    const grid = $("#projectGrid");
+    if (!grid) return;
 
-    navToggle.classList.remove("is-open");
-    navMenu.classList.remove("is-open");
-    navToggle.setAttribute("aria-expanded", "false");
+    const src = grid.dataset.projectsSrc;
+    const cardTpl = $("#projectTemplate");
+    const filterTpl = $("#filterTemplate");
+    const filters = $("[data-filters]");
 
-    if (removeNavEsc) {
-      removeNavEsc();
-      removeNavEsc = null;
+    if (!src || !cardTpl) {
+      enableProjectFilter();
+      return;
     }
-    if (removeNavOutside) {
-      removeNavOutside();
-      removeNavOutside = null;
+
+    let data;
+    try {
+      data = await fetchJSON(src);
+    } catch (err) {
+      const msg = document.createElement("p");
+      msg.className = "masonry__empty";
+      msg.dataset.i18n = "projects.loadError";
+      msg.textContent = t("projects.loadError");
+      grid.append(msg);
+      grid.removeAttribute("aria-busy");
+      return;
     }
+
+    const projects = Array.isArray(data.projects) ? data.projects : [];
+    projects.forEach((p) => projectsById.set(p.id, p));
+    grid.textContent = "";
+    grid.append(...projects.map((p) => renderProjectCard(cardTpl, p)));
+    grid.removeAttribute("aria-busy");
+
+    if (filters && filterTpl) renderProjectFilters(filters, filterTpl, { tags: data.tags, projects });
+
+    observeReveals($$(".project", grid));
+    enableProjectFilter();
+    openProjectFromHash();
+
+    onLanguageChange(() => {
+      $$(".project[data-project]", grid).forEach((card) => {
+        const project = projectsById.get(card.dataset.project);
+        if (project) card.setAttribute("aria-label", t("projects.cardLabel", { title: project.title }));
+      });
+    });
   };
 
-  const toggleMobileNav = () => {
-    if (!navToggle || !navMenu) return;
-    const open = navMenu.classList.contains("is-open");
-    if (open) closeMobileNav();
-    else openMobileNav();
+  /* ----------------------------
+     Projects filter
+     - multi-select tags (a project must have all selected tags) + text search
+     - state mirrored into the query string: ?filtr=kuchnie&szukaj=wyspa
+     - FLIP layout animation, skipped under reduced motion
+     - WAI-ARIA tabs: roving tabindex, arrows/Home/End, manual activation
+       (Enter/Space), grid as tabpanel, result count in a live region
+  ---------------------------- */
+  const FILTER_PARAM = "filtr";
+  const SEARCH_PARAM = "szukaj";
+
+  const readFilterState = () => {
+    const params = new URLSearchParams(window.location.search);
+    return { tags: parseTags(params.get(FILTER_PARAM)), query: (params.get(SEARCH_PARAM) || "").trim() };
   };
 
-  if (navToggle) {
-    navToggle.addEventListener("click", toggleMobileNav);
-  }
+  const writeFilterState = ({ tags, query }) => {
+    const params = new URLSearchParams(window.location.search);
+    if (tags.length) params.set(FILTER_PARAM, tags.join(","));
+    else params.delete(FILTER_PARAM);
+    if (query) params.set(SEARCH_PARAM, query);
+    else params.delete(SEARCH_PARAM);
+
+    const search = params.toString().replace(/%2C/gi, ","); // keep ?filtr=a,b readable
+    const url = `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`;
+    window.history.replaceState(window.history.state, "", url);
+  };
+
+  // Runs `mutate` and animates cards from their old to their new grid position
+  const animateLayout = (items, mutate) => {
+    if (prefersReducedMotion || typeof Element.prototype.animate !== "function") {
+      mutate();
+      return;
+    }
+
+    const before = new Map();
+    items.forEach((el) => {
+      if (!el.classList.contains("is-hidden")) before.set(el, el.getBoundingClientRect());
+    });
+
+    mutate();
+
+    items.forEach((el) => {
+      if (el.classList.contains("is-hidden")) return;
+      const prev = before.get(el);
+      if (!prev) {
+        el.animate([{ opacity: 0, transform: "scale(.96)" }, { opacity: 1, transform: "none" }], {
+          duration: 320,
+          easing: "cubic-bezier(.2,.8,.2,1)",
+        });
+        return;
+      }
+      const next = el.getBoundingClientRect();
+      const dx = prev.left - next.left;
+      const dy = prev.top - next.top;
+      if (!dx && !dy) return;
+      el.animate([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: "none" }], {
+        duration: 420,
+        easing: "cubic-bezier(.2,.8,.2,1)",
+      });
+    });
+  };
+
+  const enableProjectFilter = () => {
+    const grid = $("#projectGrid");
+    if (!grid) return;
+
+    // scoped: the reviews section has .filter buttons of its own
+    const tablist = $("[data-filters]");
+    const filters = tablist ? $$(".filter", tablist) : [];
+    const items = $$(".project", grid);
+    if (!filters.length || !items.length) return;
+
+    const search = $("[data-projects-search]");
+    const empty = $("[data-projects-empty]");
+    const status = $("[data-projects-status]");
+    const known = new Set(filters.map((b) => b.dataset.filter).filter((k) => k && k !== "all"));
+
+    const initial = readFilterState();
+    const state = {
+      tags: new Set(initial.tags.filter((t) => known.has(t))),
+      query: initial.query,
+    };
+
+    const cardTags = (card) => parseTags(card.dataset.tags);
+
+    const cardText = (card) => [".project__title", ".project__meta"].map((sel) => $(sel, card)?.textContent || "").join(" ");
+
+    const matches = (card) => matchesFilter({ tags: cardTags(card), text: cardText(card) }, state);
+
+    filters.forEach((b) => {
+      if (!b.id) b.id = `filter-${b.dataset.filter || "all"}`;
+      b.setAttribute("aria-controls", grid.id);
+    });
+    grid.setAttribute("role", "tabpanel");
+
+    // Roving tabindex: exactly one tab is in the Tab order
+    const setRoving = (btn) => {
+      filters.forEach((b) => b.setAttribute("tabindex", b === btn ? "0" : "-1"));
+    };
+
+    const syncButtons = () => {
+      filters.forEach((b) => {
+        const key = b.dataset.filter || "all";
+        const active = key === "all" ? !state.tags.size : state.tags.has(key);
+        b.classList.toggle("is-active", active);
+        b.setAttribute("aria-selected", active ? "true" : "false");
+      });
+      const selected = filters.filter((b) => b.getAttribute("aria-selected") === "true");
+      grid.setAttribute("aria-labelledby", selected.map((b) => b.id).join(" "));
+    };
+
+    const announce = (visible) => {
+      if (!status) return;
+      status.textContent = visible
+        ? t("projects.status", { visible, total: items.length })
+        : t("projects.empty");
+    };
+
+    // typing in the search box settles into one event
+    let trackTimer = 0;
+    const trackFilters = (visible) => {
+      clearTimeout(trackTimer);
+      trackTimer = setTimeout(() => {
+        trackEvent("projects_filter", { tags: [...state.tags], query: state.query.slice(0, 40), visible });
+      }, 800);
+    };
+
+    const apply = ({ animate = true, silent = false } = {}) => {
+      syncButtons();
+
+      const run = () =>
+        items.forEach((card) => {
+          const hidden = !matches(card);
+          card.classList.toggle("is-hidden", hidden);
+          // keep filtered-out cards out of the Tab order and the accessibility tree
+          if (hidden) {
+            card.setAttribute("tabindex", "-1");
+            card.setAttribute("aria-hidden", "true");
+          } else {
+            card.removeAttribute("tabindex");
+            card.removeAttribute("aria-hidden");
+          }
+        });
+      if (animate) animateLayout(items, run);
+      else run();
+
+      const visible = items.filter((card) => !card.classList.contains("is-hidden")).length;
+      if (empty) empty.hidden = visible > 0;
+      if (!silent) {
+        announce(visible);
+        trackFilters(visible);
+      }
+
+      writeFilterState({ tags: [...state.tags], query: state.query });
+    };
+
+    filters.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const key = btn.dataset.filter || "all";
+        if (key === "all") state.tags.clear();
+        else if (state.tags.has(key)) state.tags.delete(key);
+        else state.tags.add(key);
+        setRoving(btn);
+        apply();
+      });
+    });
+
+    if (tablist) {
+      tablist.addEventListener("keydown", (e) => {
+        const i = filters.indexOf(document.activeElement);
+        if (i === -1) return;
+
+        let j;
+        if (e.key === "ArrowRight") j = (i + 1) % filters.length;
+        else if (e.key === "ArrowLeft") j = (i - 1 + filters.length) % filters.length;
+        else if (e.key === "Home") j = 0;
+        else if (e.key === "End") j = filters.length - 1;
+        else return;
+
+        e.preventDefault();
+        setRoving(filters[j]);
+        filters[j].focus();
+      });
+    }
+
+    if (search) {
+      search.value = state.query;
+      search.addEventListener("input", () => {
+        state.query = search.value.trim();
+        apply();
+      });
+    }
+
+    $$("[data-filters-reset]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        state.tags.clear();
+        state.query = "";
+        if (search) search.value = "";
+        apply();
+      });
+    });
+
+    apply({ animate: false, silent: true });
+    setRoving(filters.find((b) => b.getAttribute("aria-selected") === "true") || filters[0]);
+  };
+
+  /* ----------------------------
+     Reviews carousel
+     - positions come from the real slide offsets (no hard-coded card width)
+     - pagination dots follow the scroll position
+     - autoplay via data-carousel-autoplay="<ms>", paused on hover/focus,
+       off under reduced motion
+     - mouse drag on desktop (touch keeps native scrolling)
+     - ends disable prev/next unless data-carousel-loop is set
+  ---------------------------- */
+  const createCarousel = (root, { listen, cleanup }) => {
+    const track = $("[data-carousel-track]", root);
+    if (!track) return null;
+
+    const prev = $("[data-carousel-prev]", root);
+    const next = $("[data-carousel-next]", root);
+    const toggle = $("[data-carousel-toggle]", root);
+    const dotsEl = $("[data-carousel-dots]", root);
+    const status = $("[data-carousel-status]", root);
+
+    const loop = root.hasAttribute("data-carousel-loop");
+    const delay = Number(root.dataset.carouselAutoplay || 0);
+    const canAutoplay = delay > 0 && !prefersReducedMotion;
+
+    let positions = [0];
+    let index = 0;
+    let playing = canAutoplay;
+    let paused = false; // hover / focus / hidden tab
+    let timer = 0;
+
+    const slides = () => Array.from(track.children);
+
+    // scroll offsets the track can actually reach, one per "page"
+    const measure = () => {
+      const list = slides();
+      const max = Math.max(0, track.scrollWidth - track.clientWidth);
+      const origin = list[0] ? list[0].offsetLeft : 0;
+      const raw = list.map((s) => Math.min(max, Math.max(0, s.offsetLeft - origin)));
+      positions = raw.filter((pos, i) => i === 0 || pos - raw[i - 1] > 1);
+      if (!positions.length) positions = [0];
+
+      list.forEach((slide, i) => {
+        slide.setAttribute("role", "group");
+        slide.setAttribute("aria-roledescription", t("carousel.slide"));
+        slide.setAttribute("aria-label", t("carousel.position", { n: i + 1, total: list.length }));
+      });
+    };
+
+    const renderDots = () => {
+      if (!dotsEl || dotsEl.children.length === positions.length) return;
+      dotsEl.textContent = "";
+      dotsEl.hidden = positions.length < 2;
+      positions.forEach(() => {
+        const dot = document.createElement("button");
+        dot.type = "button";
+        dot.className = "carousel__dot";
+        dotsEl.append(dot);
+      });
+    };
+
+    const update = () => {
+      if (dotsEl) {
+        Array.from(dotsEl.children).forEach((dot, i) => {
+          dot.setAttribute("aria-label", t("carousel.dot", { n: i + 1, total: positions.length }));
+          if (i === index) dot.setAttribute("aria-current", "true");
+          else dot.removeAttribute("aria-current");
+        });
+      }
+      if (!loop) {
+        if (prev) prev.disabled = index <= 0;
+        if (next) next.disabled = index >= positions.length - 1;
+      }
+    };
+
+    const announce = () => {
+      if (status) status.textContent = t("carousel.status", { n: index + 1, total: positions.length });
+    };
+
+    const interacted = (action) => trackEvent("carousel_interact", { action, slide: index + 1 });
+
+    const goTo = (i, { announce: speak = false, wrap = loop } = {}) => {
+      const last = positions.length - 1;
+      index = wrap ? (i < 0 ? last : i > last ? 0 : i) : clamp(i, 0, last);
+      track.scrollTo({ left: positions[index], behavior: prefersReducedMotion ? "auto" : "smooth" });
+      update();
+      if (speak) announce();
+    };
+
+    // dots are re-rendered, so one delegated listener
+    if (dotsEl) {
+      listen(dotsEl, "click", (e) => {
+        const dot = e.target.closest(".carousel__dot");
+        if (!dot) return;
+        goTo(Array.from(dotsEl.children).indexOf(dot), { announce: true });
+        interacted("dot");
+      });
+    }
+
+    // index follows manual scrolling / swiping
+    let raf = 0;
+    listen(
+      track,
+      "scroll",
+      () => {
+        cancelAnimationFrame(raf);
+        raf = requestAnimationFrame(() => {
+          const left = track.scrollLeft;
+          let nearest = 0;
+          positions.forEach((pos, i) => {
+            if (Math.abs(pos - left) < Math.abs(positions[nearest] - left)) nearest = i;
+          });
+          if (nearest !== index) {
+            index = nearest;
+            update();
+          }
+        });
+      },
+      { passive: true }
+    );
+
+    if (prev) {
+      listen(prev, "click", () => {
+        goTo(index - 1, { announce: true });
+        interacted("prev");
+      });
+    }
+    if (next) {
+      listen(next, "click", () => {
+        goTo(index + 1, { announce: true });
+        interacted("next");
+      });
+    }
+
+    // Keyboard support when track focused
+    track.setAttribute("tabindex", "0");
+    listen(track, "keydown", (e) => {
+      if (e.key === "ArrowLeft") goTo(index - 1, { announce: true });
+      else if (e.key === "ArrowRight") goTo(index + 1, { announce: true });
+      else return;
+      e.preventDefault();
+      interacted("key");
+    });
+
+    // Mouse drag (pointer: fine); touch and pen use native scroll-snap
+    let drag = null;
+    listen(track, "pointerdown", (e) => {
+      if (e.pointerType !== "mouse" || e.button !== 0) return;
+      drag = { x: e.clientX, left: track.scrollLeft, moved: false, id: e.pointerId };
+    });
+    listen(track, "pointermove", (e) => {
+      if (!drag) return;
+      const dx = e.clientX - drag.x;
+      if (!drag.moved && Math.abs(dx) > 5) {
+        drag.moved = true;
+        track.classList.add("is-dragging");
+        track.setPointerCapture?.(drag.id);
+      }
+      if (drag.moved) track.scrollLeft = drag.left - dx;
+    });
+    const endDrag = (e) => {
+      if (!drag) return;
+      const { moved, x } = drag;
+      drag = null;
+      track.classList.remove("is-dragging");
+      if (!moved) return;
+      // snap in the drag direction once it passes a small threshold
+      const dx = e.clientX - x;
+      goTo(Math.abs(dx) > 40 ? index + (dx < 0 ? 1 : -1) : index, { announce: true, wrap: false });
+      interacted("drag");
+    };
+    listen(track, "pointerup", endDrag);
+    listen(track, "pointercancel", endDrag);
+
+    // Autoplay
+    const schedule = () => {
+      clearTimeout(timer);
+      const rotating = canAutoplay && playing && !paused && positions.length > 1;
+      // rotating content must not spam screen readers
+      if (status) status.setAttribute("aria-live", rotating ? "off" : "polite");
+      if (!rotating) return;
+      timer = setTimeout(() => {
+        goTo(index + 1, { wrap: true });
+        schedule();
+      }, delay);
+    };
+
+    const syncToggle = () => {
+      if (!toggle) return;
+      toggle.hidden = !canAutoplay;
+      toggle.textContent = playing ? "❚❚" : "▶";
+      toggle.setAttribute("aria-label", playing ? t("carousel.pause") : t("carousel.play"));
+    };
+
+    if (canAutoplay) {
+      const pause = () => {
+        paused = true;
+        schedule();
+      };
+      const resume = () => {
+        paused = root.matches(":hover") || root.contains(document.activeElement) || document.hidden;
+        schedule();
+      };
+
+      listen(root, "mouseenter", pause);
+      listen(root, "mouseleave", resume);
+      listen(root, "focusin", pause);
+      listen(root, "focusout", () => setTimeout(resume, 0));
+      listen(document, "visibilitychange", () => (document.hidden ? pause() : resume()));
+
+      if (toggle) {
+        listen(toggle, "click", () => {
+          playing = !playing;
+          syncToggle();
+          schedule();
+          interacted(playing ? "play" : "pause");
+        });
+      }
+    }
+
+    const refresh = () => {
+      measure();
+      renderDots();
+      index = clamp(index, 0, positions.length - 1);
+      update();
+      schedule();
+    };
+
+    if ("ResizeObserver" in window) {
+      const observer = new ResizeObserver(() => refresh());
+      observer.observe(track);
+      cleanup(() => observer.disconnect());
+    } else {
+      listen(window, "resize", refresh);
+    }
+
+    cleanup(
+      onLanguageChange(() => {
+        syncToggle();
+        refresh();
+      })
+    );
+    cleanup(() => {
+      clearTimeout(timer);
+      cancelAnimationFrame(raf);
+      if (dotsEl) dotsEl.textContent = "";
+    });
+
+    syncToggle();
+    refresh();
+
+    return { refresh, goTo };
+  };
+
+  defineComponent("carousel", createCarousel);
+
+  /* ----------------------------
+     Reviews (rendered from JSON)
+     - data: [data-carousel-track][data-reviews-src]
+     - markup: <template id="reviewTemplate"> / <template id="reviewFilterTemplate">
+     - aggregate rating in [data-reviews-summary], computed from the feed
+     - service filter (single choice, aria-pressed), long texts collapsed
+     - AggregateRating + Review JSON-LD for search engines
+  ---------------------------- */
+  const REVIEW_CLAMP_CHARS = 220;
+  const BUSINESS_NAME = "Meblove";
+  let reviewUid = 0;
+
+  const formatRating = (n) =>
+    new Intl.NumberFormat(lang, { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(n);
+  const formatReviewDate = (date) => new Intl.DateTimeFormat(lang, { month: "long", year: "numeric" }).format(date);
+
+  const averageRating = (reviews) => {
+    const rated = reviews.filter((r) => Number(r.rating) > 0);
+    if (!rated.length) return 0;
+    return rated.reduce((sum, r) => sum + Number(r.rating), 0) / rated.length;
+  };
+
+  const ratingStars = (rating) => {
+    const full = clamp(Math.round(Number(rating) || 0), 0, 5);
+    return "★".repeat(full) + "☆".repeat(5 - full);
+  };
+
+  const initialsOf = (name) =>
+    String(name || "")
+      .split(/\s+/)
+      .filter((part) => /^\p{Lu}/u.test(part))
+      .slice(0, 2)
+      .map((part) => part[0].toUpperCase())
+      .join("");
+
+  const renderReview = (tpl, review, services = {}) => {
+    const date = review.date ? new Date(review.date) : null;
+    const hasDate = date && !Number.isNaN(date.getTime());
+    const service = services[review.service] || review.service || "";
+
+    const card = fillTemplate(tpl, {
+      stars: ratingStars(review.rating),
+      text: `„${review.text}”`,
+      initials: initialsOf(review.name),
+      name: review.name,
+      meta: [review.city, service.toLowerCase()].filter(Boolean).join(" • "),
+      date: hasDate ? formatReviewDate(date) : "",
+    });
+
+    card.dataset.service = review.service || "";
+    $(".review__stars", card).setAttribute("aria-label", t("reviews.rating", { rating: review.rating }));
+
+    const time = $(".review__date", card);
+    if (hasDate) time.dateTime = review.date;
+    else time.remove();
+
+    const more = $(".review__more", card);
+    if (more && String(review.text || "").length > REVIEW_CLAMP_CHARS) {
+      const text = $(".review__text", card);
+      text.id = `review-text-${++reviewUid}`;
+      card.classList.add("is-clamped");
+      more.hidden = false;
+      more.textContent = t("reviews.more");
+      more.setAttribute("aria-controls", text.id);
+      more.addEventListener("click", () => {
+        const expanded = card.classList.toggle("is-clamped") === false;
+        more.setAttribute("aria-expanded", String(expanded));
+        more.textContent = expanded ? t("reviews.less") : t("reviews.more");
+      });
+    }
+
+    return card;
+  };
+
+  const renderReviewsSummary = (root, reviews) => {
+    const avg = averageRating(reviews);
+    const stars = $(".rating__stars", root);
+    const average = $("[data-field='average']", root);
+    const count = $("[data-field='count']", root);
+
+    // partial star fill via --rating (see .rating__stars)
+    if (stars) stars.style.setProperty("--rating", `${((avg / 5) * 100).toFixed(1)}%`);
+    if (average) average.textContent = formatRating(avg);
+    if (count) count.textContent = `(${tn("reviews.count", reviews.length)})`;
+  };
+
+  const renderReviewsSchema = (reviews) => {
+    if (!reviews.length) return;
+
+    const schema = {
+      "@context": "https://schema.org",
+      "@type": "FurnitureStore",
+      "@id": businessId(),
+      name: BUSINESS_NAME,
+      url: pageUrl(),
+      aggregateRating: {
+        "@type": "AggregateRating",
+        ratingValue: averageRating(reviews).toFixed(1),
+        reviewCount: reviews.length,
+        bestRating: 5,
+        worstRating: 1,
+      },
+      review: reviews.map((r) => ({
+        "@type": "Review",
+        author: { "@type": "Person", name: r.name },
+        ...(r.date ? { datePublished: r.date } : {}),
+        reviewBody: r.text,
+        reviewRating: { "@type": "Rating", ratingValue: r.rating, bestRating: 5, worstRating: 1 },
+      })),
+    };
+
+    let script = $("#reviewsSchema");
+    if (!script) {
+      script = document.createElement("script");
+      script.type = "application/ld+json";
+      script.id = "reviewsSchema";
+      document.head.append(script);
+    }
+    script.textContent = JSON.stringify(schema);
+  };
+
+  const renderReviewFilters = (container, tpl, { services: labels = {}, reviews }, onChange) => {
+    const counts = new Map();
+    reviews.forEach((r) => r.service && counts.set(r.service, (counts.get(r.service) || 0) + 1));
+
+    const keys = [
+      ...Object.keys(labels).filter((s) => counts.has(s)),
+      ...Array.from(counts.keys()).filter((s) => !(s in labels)),
+    ];
+
+    // a single service is not worth filtering
+    container.textContent = "";
+    container.hidden = keys.length < 2;
+    if (container.hidden) return;
+
+    const entries = [
+      ["all", t("reviews.filterAll"), reviews.length],
+      ...keys.map((s) => [s, labels[s] || s, counts.get(s)]),
+    ];
+    entries.forEach(([key, label, count], i) => {
+      const btn = fillTemplate(tpl, { label, count });
+      btn.dataset.service = key;
+      if (key === "all") $("[data-field='label']", btn).dataset.i18n = "reviews.filterAll";
+      btn.classList.toggle("is-active", i === 0);
+      btn.setAttribute("aria-pressed", i === 0 ? "true" : "false");
+      btn.addEventListener("click", () => {
+        $$("[data-review-filter]", container).forEach((b) => {
+          b.classList.toggle("is-active", b === btn);
+          b.setAttribute("aria-pressed", b === btn ? "true" : "false");
+        });
+        onChange(key);
+      });
+      container.append(btn);
+    });
+  };
+
+  const enableReviews = async () => {
+    const track = $("[data-reviews-src]");
+    const tpl = $("#reviewTemplate");
+    if (!track || !tpl) return;
+
+    let data;
+    try {
+      data = await fetchJSON(track.dataset.reviewsSrc);
+    } catch (err) {
+      // keep the static fallback review from the markup
+      return;
+    }
+
+    const reviews = (Array.isArray(data.reviews) ? data.reviews : []).filter((r) => r && r.text);
+    if (!reviews.length) return;
+
+    const services = data.services || {};
+    let current = "all";
+
+    const show = (service) => {
+      current = service;
+      const list = service === "all" ? reviews : reviews.filter((r) => r.service === service);
+      track.textContent = "";
+      track.append(...list.map((r) => renderReview(tpl, r, services)));
+      track.scrollLeft = 0;
+      const carousel = getComponent(track.closest("[data-carousel]"), "carousel");
+      if (carousel) {
+        carousel.refresh();
+        carousel.goTo(0);
+      }
+    };
+
+    show("all");
+
+    const summary = $("[data-reviews-summary]");
+    if (summary) renderReviewsSummary(summary, reviews);
+
+    const filters = $("[data-reviews-filters]");
+    const filterTpl = $("#reviewFilterTemplate");
+    if (filters && filterTpl) renderReviewFilters(filters, filterTpl, { services, reviews }, show);
+
+    renderReviewsSchema(reviews);
+
+    // dates, star labels and "Pokaż więcej" are formatted per language
+    onLanguageChange(() => {
+      show(current);
+      if (summary) renderReviewsSummary(summary, reviews);
+    });
+  };
+
+  /* ----------------------------
+     Quote modal
+     - dialog manager: js/dialogs.js (stack, ESC, focus restore, inert background, scroll lock)
+     - data-dialog="quote"; opening resets the wizard and pre-selects the service
+       (trigger's data-service or openModal(service))
+  ---------------------------- */
+  const modal = $("#modalQuote");
+  const quoteForm = $("#quoteForm");
+  const quoteServiceSelect = $("#quoteService");
+
+  const openModal = (servicePrefill = "") => openDialog(modal, { detail: { service: servicePrefill } });
+
+  // reason: "dismiss" (close button, backdrop, ESC), "sent" or where the visitor went next
+  const closeModal = ({ reason = "dismiss" } = {}) => closeDialog(modal, { reason });
+
+  if (modal) {
+    modal.addEventListener(DIALOG_OPEN_EVENT, (e) => {
+      const servicePrefill = e.detail.service ?? e.detail.trigger?.dataset.service ?? "";
+
+      trackEvent("quote_open", { service: servicePrefill });
+
+      // always start from the first step; keeps what was typed before
+      quoteWizard?.reset();
+      spamGuardsByForm.get(quoteForm)?.arm();
+      quoteBooking?.load();
+
+      // prefill service if provided
+      if (quoteServiceSelect && servicePrefill) {
+        const found = findServiceOption(quoteServiceSelect.options, servicePrefill);
+        if (found) quoteServiceSelect.value = found.value;
+        else quoteServiceSelect.value = servicePrefill;
+        quoteWizard?.render();
+      }
+    });
+
+    modal.addEventListener(DIALOG_CLOSE_EVENT, (e) => {
+      const { reason } = e.detail;
+      if (reason !== "sent") trackEvent("quote_abandon", { reason, step: quoteWizard?.step() || "" });
+    });
+  }
+
+  // Used by the estimator and the project lightbox to pre-fill the quote description
+  const appendQuoteDetails = (block) => {
+    const details = quoteForm ? quoteForm.elements.namedItem("details") : null;
+    if (details) details.value = mergeTextBlock(details.value, block);
+  };
+
+  /* ----------------------------
+     Project lightbox
+     - opened via #projekt-<id>; cards link there, so every project is shareable
+     - a dialog (data-dialog="project"): focus, ESC and scroll lock come from the dialog manager
+  ---------------------------- */
+  const PROJECT_HASH = "#projekt-";
+  const lightbox = $("#modalProject");
+  const lightboxPanel = lightbox ? $(".modal__panel", lightbox) : null;
+  let lightboxProject = null;
+  let lightboxPushed = false; // opened by in-page navigation, so closing can go back in history
+
+  const projectIdFromHash = () => {
+    const hash = `#${decodeHash()}`;
+    return hash.startsWith(PROJECT_HASH) ? hash.slice(PROJECT_HASH.length) : "";
+  };
+
+  const projectUrl = (id) => `${window.location.href.split("#")[0]}${PROJECT_HASH}${encodeURIComponent(id)}`;
+
+  const createGallery = (root) => {
+    const track = $("[data-gallery-track]", root);
+    const prev = $("[data-gallery-prev]", root);
+    const next = $("[data-gallery-next]", root);
+    const count = $("[data-gallery-count]", root);
+    let index = 0;
+
+    const total = () => track.children.length;
+
+    const update = () => {
+      const n = total();
+      count.textContent = n > 1 ? `${index + 1} / ${n}` : "";
+      prev.hidden = next.hidden = n < 2;
+      prev.disabled = index <= 0;
+      next.disabled = index >= n - 1;
+    };
+
+    const goTo = (i) => {
+      index = clamp(i, 0, Math.max(0, total() - 1));
+      track.scrollTo({ left: index * track.clientWidth, behavior: prefersReducedMotion ? "auto" : "smooth" });
+      update();
+    };
+
+    const render = (images, title) => {
+      track.textContent = "";
+      images.forEach((image, i) => {
+        const fig = document.createElement("figure");
+        fig.className = "gallery__slide";
+        fig.setAttribute("role", "group");
+        fig.setAttribute("aria-roledescription", t("carousel.slide"));
+        fig.setAttribute("aria-label", t("carousel.position", { n: i + 1, total: images.length }));
+
+        let media;
+        if (image.src) {
+          media = document.createElement("img");
+          media.src = image.src;
+          media.alt = image.alt || title;
+          media.loading = "lazy";
+        } else {
+          media = document.createElement("div");
+          media.setAttribute("role", "img");
+          media.setAttribute("aria-label", image.alt || title);
+          media.classList.add("media", `media--${image.placeholder || "a"}`);
+        }
+        media.classList.add("gallery__img");
+
+        const cap = document.createElement("figcaption");
+        cap.className = "gallery__cap";
+        cap.textContent = image.caption || image.alt || "";
+
+        fig.append(media, cap);
+        track.append(fig);
+      });
+
+      index = 0;
+      track.scrollLeft = 0;
+      update();
+    };
+
+    // swipe = native scroll-snap; keep the counter in sync with it
+    let raf = 0;
+    track.addEventListener(
+      "scroll",
+      () => {
+        cancelAnimationFrame(raf);
+        raf = requestAnimationFrame(() => {
+          const width = track.clientWidth;
+          if (!width) return;
+          const i = Math.round(track.scrollLeft / width);
+          if (i !== index) {
+            index = clamp(i, 0, total() - 1);
+            update();
+          }
+        });
+      },
+      { passive: true }
+    );
+
+    prev.addEventListener("click", () => goTo(index - 1));
+    next.addEventListener("click", () => goTo(index + 1));
+    track.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowLeft") goTo(index - 1);
+      else if (e.key === "ArrowRight") goTo(index + 1);
+      else if (e.key === "Home") goTo(0);
+      else if (e.key === "End") goTo(total() - 1);
+      else return;
+      e.preventDefault();
+    });
+
+    return { render };
+  };
+
+  const gallery = lightbox ? createGallery($("[data-gallery]", lightbox)) : null;
+
+  const fillLightbox = (project) => {
+    $("[data-lightbox-title]", lightbox).textContent = project.title;
+    $("[data-lightbox-place]", lightbox).textContent = [project.city, project.year].filter(Boolean).join(" • ");
+    $("[data-lightbox-desc]", lightbox).textContent = project.description || project.meta || "";
+
+    const materials = $("[data-lightbox-materials]", lightbox);
+    materials.textContent = "";
+    (project.materials || []).forEach((m) => {
+      const li = document.createElement("li");
+      li.textContent = m;
+      materials.append(li);
+    });
+    materials.hidden = !materials.children.length;
+    materials.previousElementSibling.hidden = materials.hidden;
+
+    gallery.render(project.images || [], project.title);
+  };
+
+  const openProject = (id, { pushed = false } = {}) => {
+    const project = projectsById.get(id);
+    if (!lightbox || !lightboxPanel || !project) return;
+
+    fillLightbox(project);
+    lightboxPushed = pushed;
+    lightboxProject = project;
+    setSeoContext({ project });
+
+    // already open (another #projekt-… link): only the content changed
+    if (!openDialog(lightbox)) {
+      const focusable = getFocusable(lightboxPanel);
+      (focusable[0] || lightboxPanel).focus?.();
+    }
+  };
+
+  // fromHistory: the URL already changed (back button), so leave history alone
+  const closeProject = ({ fromHistory = false } = {}) => {
+    if (lightbox) closeDialog(lightbox, { reason: fromHistory ? "history" : "dismiss" });
+  };
+
+  // Deep link on load (called once projects are rendered)
+  const openProjectFromHash = () => {
+    const id = projectIdFromHash();
+    if (id) openProject(id);
+  };
+
+  window.addEventListener("hashchange", () => {
+    const id = projectIdFromHash();
+    if (id) openProject(id, { pushed: true });
+    else closeProject({ fromHistory: true });
+  });
+
+  if (lightbox) {
+    // ESC, backdrop and ✕ close through the dialog manager too
+    lightbox.addEventListener(DIALOG_CLOSE_EVENT, (e) => {
+      lightboxProject = null;
+      setSeoContext({ project: null });
+      if (e.detail.reason === "history") return;
+      if (lightboxPushed) window.history.back();
+      else window.history.replaceState(window.history.state, "", window.location.href.split("#")[0]);
+    });
+
+    const similarBtn = $("[data-lightbox-similar]", lightbox);
+    if (similarBtn) {
+      similarBtn.addEventListener("click", () => {
+        const project = lightboxProject;
+        if (!project) return;
+        closeProject();
+        openModal(project.service || "");
+        appendQuoteDetails([t("lightbox.inspiration"), `- ${project.title}`, `- ${projectUrl(project.id)}`].join("\n"));
+      });
+    }
+
+    const copyBtn = $("[data-lightbox-copy]", lightbox);
+    if (copyBtn) {
+      copyBtn.addEventListener("click", async () => {
+        if (!lightboxProject) return;
+        const url = projectUrl(lightboxProject.id);
+        try {
+          await navigator.clipboard.writeText(url);
+          copyBtn.textContent = t("lightbox.copied");
+          setTimeout(() => {
+            copyBtn.textContent = t("lightbox.copy");
+          }, 1600);
+        } catch (err) {
+          window.prompt(t("lightbox.copyPrompt"), url);
+        }
+      });
+    }
+  }
+
+  /* ----------------------------
+     SEO: structured data + page meta
+     - JSON-LD graph in #siteSchema: FurnitureStore, a Service per offer card, FAQPage, BreadcrumbList
+     - the business node shares its @id with #reviewsSchema, so search engines merge the two
+     - <title>, description, canonical, Open Graph and Twitter tags follow the section or project navigated to
+       (deep link, anchor click, back/forward); scrolling alone leaves them as they are
+  ---------------------------- */
+  const BUSINESS_PHONE = "+48693040609";
+  const BUSINESS_EMAIL = "biuro@meblove.com.pl";
+  const SHARE_IMAGE = "images/og-cover.png"; // 1200×630 og:image when a project has no photo
+  const LOGO_IMAGE = "icons/icon-512.png";
+  const OG_LOCALES = { pl: "pl_PL", en: "en_GB", de: "de_DE", uk: "uk_UA" };
+
+  let seoSection = ""; // section from the URL (deep link / anchor navigation)
+  let seoProject = null; // project open in the lightbox
+
+  const pageUrl = () => `${window.location.origin}${window.location.pathname}`;
+  const businessId = () => `${pageUrl()}#business`;
+  const absoluteUrl = (src) => new URL(src, window.location.href).href;
+  const textOf = (el) => (el ? el.textContent.replace(/\s+/g, " ").trim() : "");
+
+  const sectionName = (id) => {
+    const section = id ? document.getElementById(id) : null;
+    return section ? section.getAttribute("aria-label") || textOf($(".section__title", section)) : "";
+  };
+
+  // only what the site owner configured (MEBLOVE_CONFIG.serviceArea)
+  const areaServed = () => {
+    const cities = (Array.isArray(CONFIG.serviceArea) ? CONFIG.serviceArea : [])
+      .map((name) => String(name || "").trim())
+      .filter(Boolean);
+    return cities.length ? { areaServed: cities.map((name) => ({ "@type": "City", name })) } : {};
+  };
+
+  const buildSiteSchema = () => {
+    const url = pageUrl();
+    const business = {
+      "@type": "FurnitureStore",
+      "@id": businessId(),
+      name: BUSINESS_NAME,
+      url,
+      description: t("meta.description"),
+      telephone: BUSINESS_PHONE,
+      email: BUSINESS_EMAIL,
+      image: absoluteUrl(SHARE_IMAGE),
+      logo: absoluteUrl(LOGO_IMAGE),
+      ...areaServed(),
+    };
+
+    const services = $$("#offer .offer").map((card, i) => ({
+      "@type": "Service",
+      "@id": `${url}#service-${i + 1}`,
+      name: textOf($(".offer__title", card)),
+      description: textOf($(".offer__desc", card)),
+      // the quote form's service value, stable across languages
+      serviceType: $("[data-service]", card)?.dataset.service || textOf($(".offer__title", card)),
+      provider: { "@id": businessId() },
+      ...areaServed(),
+      url: `${url}#offer`,
+    }));
+
+    const questions = $$("[data-accordion] details").map((item) => ({
+      "@type": "Question",
+      name: textOf($("summary", item)),
+      acceptedAnswer: { "@type": "Answer", text: textOf($(".faq__a", item)) },
+    }));
+
+    const crumbs = [[BUSINESS_NAME, url]];
+    const section = seoProject ? "projects" : seoSection;
+    if (section) crumbs.push([sectionName(section), `${url}#${section}`]);
+    if (seoProject) crumbs.push([seoProject.title, projectUrl(seoProject.id)]);
+
+    return {
+      "@context": "https://schema.org",
+      "@graph": [
+        business,
+        ...services,
+        ...(questions.length ? [{ "@type": "FAQPage", "@id": `${url}#faq-page`, mainEntity: questions }] : []),
+        {
+          "@type": "BreadcrumbList",
+          "@id": `${url}#breadcrumbs`,
+          itemListElement: crumbs.map(([name, item], i) => ({ "@type": "ListItem", position: i + 1, name, item })),
+        },
+      ],
+    };
+  };
+
+  const renderSiteSchema = () => {
+    let script = $("#siteSchema");
+    if (!script) {
+      script = document.createElement("script");
+      script.type = "application/ld+json";
+      script.id = "siteSchema";
+      document.head.append(script);
+    }
+    script.textContent = JSON.stringify(buildSiteSchema());
+  };
+
+  // attr: "name" for description/twitter:*, "property" for og:*
+  const setMetaTag = (attr, key, content) => {
+    let meta = $(`meta[${attr}="${key}"]`);
+    if (!meta) {
+      meta = document.createElement("meta");
+      meta.setAttribute(attr, key);
+      document.head.append(meta);
+    }
+    meta.setAttribute("content", content);
+  };
+
+  const updatePageMeta = () => {
+    const project = seoProject;
+    const section = seoSection ? document.getElementById(seoSection) : null;
+    const cover = project && (project.images || []).find((image) => image.src);
+
+    let title = t("meta.title");
+    let description = t("meta.description");
+    let url = pageUrl();
+    if (project) {
+      title = `${project.title} — ${BUSINESS_NAME}`;
+      description = project.description || description;
+      url = projectUrl(project.id);
+    } else if (section) {
+      title = `${sectionName(seoSection)} — ${BUSINESS_NAME}`;
+      description = textOf($(".section__subtitle", section)) || description;
+      url = `${pageUrl()}#${seoSection}`;
+    }
+    const image = absoluteUrl(cover ? cover.src : SHARE_IMAGE);
+
+    document.title = title;
+    setMetaTag("name", "description", description);
+    setMetaTag("property", "og:site_name", BUSINESS_NAME);
+    setMetaTag("property", "og:type", "website");
+    setMetaTag("property", "og:locale", OG_LOCALES[lang] || OG_LOCALES.pl);
+    setMetaTag("property", "og:title", title);
+    setMetaTag("property", "og:description", description);
+    setMetaTag("property", "og:url", url);
+    setMetaTag("property", "og:image", image);
+    // size is only known for the share image
+    if (cover) $$("meta[property='og:image:width'], meta[property='og:image:height']").forEach((meta) => meta.remove());
+    else {
+      setMetaTag("property", "og:image:width", "1200");
+      setMetaTag("property", "og:image:height", "630");
+    }
+    setMetaTag("name", "twitter:card", "summary_large_image");
+    setMetaTag("name", "twitter:title", title);
+    setMetaTag("name", "twitter:description", description);
+    setMetaTag("name", "twitter:image", image);
+
+    // fragments are not separate pages for search engines
+    let canonical = $("link[rel='canonical']");
+    if (!canonical) {
+      canonical = document.createElement("link");
+      canonical.rel = "canonical";
+      document.head.append(canonical);
+    }
+    canonical.href = pageUrl();
+  };
+
+  const setSeoContext = (next) => {
+    if ("section" in next) seoSection = next.section;
+    if ("project" in next) seoProject = next.project;
+    updatePageMeta();
+    renderSiteSchema();
+  };
+
+  const enableSeo = () => {
+    setSeoContext({});
+    onLanguageChange(() => setSeoContext({}));
+  };
+
+  /* ----------------------------
+     Cookie consent
+     - banner on the first visit, preferences dialog (#modalConsent) from any [data-consent-open]
+     - categories: necessary (always on), analytics, marketing
+     - the choice is stored with CONSENT_VERSION; bumping it asks everyone again
+     - <script type="text/plain" data-consent="…"> and iframe[data-consent][data-src]
+       stay inert until their category is granted (revoking applies from the next page load)
+     - window.MebloveConsent: has(category), get(), update({ analytics, marketing }), open(), onChange(fn)
+  ---------------------------- */
+  const CONSENT_VERSION = 1;
+  const CONSENT_STORAGE_KEY = "meblove:consent";
+  const CONSENT_EVENT = "meblove:consentchange";
+  const CONSENT_OPTIONAL = ["analytics", "marketing"];
+
+  let consent = null; // { version, savedAt, categories } once the visitor has decided
+
+  const readConsent = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY) || "null");
+      return saved && saved.version === CONSENT_VERSION && saved.categories ? saved : null;
+    } catch (err) {
+      return null; // storage blocked: ask on every page view
+    }
+  };
+
+  const storeConsent = (value) => {
+    try {
+      localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(value));
+    } catch (err) {
+      // storage blocked: the choice lasts for this page view only
+    }
+  };
+
+  const hasConsent = (category) => category === "necessary" || !!(consent && consent.categories[category]);
+
+  const activateConsented = () => {
+    $$("script[type='text/plain'][data-consent]").forEach((placeholder) => {
+      if (!hasConsent(placeholder.dataset.consent)) return;
+      const script = document.createElement("script");
+      Array.from(placeholder.attributes).forEach(({ name, value }) => {
+        if (name !== "type" && name !== "data-consent") script.setAttribute(name, value);
+      });
+      if (placeholder.dataset.type) script.type = placeholder.dataset.type; // e.g. "module"
+      script.text = placeholder.text;
+      placeholder.replaceWith(script);
+    });
+
+    $$("iframe[data-consent][data-src]").forEach((frame) => {
+      if (hasConsent(frame.dataset.consent) && !frame.getAttribute("src")) frame.src = frame.dataset.src;
+    });
+  };
+
+  const onConsentChange = (fn) => {
+    const handler = (e) => fn(e.detail);
+    document.addEventListener(CONSENT_EVENT, handler);
+    return () => document.removeEventListener(CONSENT_EVENT, handler);
+  };
+
+  const enableConsent = () => {
+    const banner = $("#cookieBanner");
+    const dialog = $("#modalConsent");
+    const form = $("#consentForm");
+
+    consent = readConsent();
+
+    const syncForm = () => {
+      if (!form) return;
+      CONSENT_OPTIONAL.forEach((name) => {
+        const box = form.elements.namedItem(name);
+        if (box) box.checked = hasConsent(name);
+      });
+    };
+
+    const save = (categories) => {
+      consent = {
+        version: CONSENT_VERSION,
+        savedAt: new Date().toISOString(),
+        categories: { necessary: true, ...Object.fromEntries(CONSENT_OPTIONAL.map((name) => [name, !!categories[name]])) },
+      };
+      storeConsent(consent);
+      if (banner) banner.hidden = true;
+      syncForm();
+      activateConsented();
+      document.dispatchEvent(new CustomEvent(CONSENT_EVENT, { detail: { ...consent.categories } }));
+    };
+
+    const openPreferences = () => openDialog(dialog);
+    const closePreferences = () => closeDialog(dialog);
+
+    if (dialog) {
+      dialog.addEventListener(DIALOG_OPEN_EVENT, syncForm);
+      dialog.addEventListener(DIALOG_CLOSE_EVENT, () => {
+        // the banner button that opened the dialog may be gone by now
+        const active = document.activeElement;
+        if (!active || active === document.body || dialog.contains(active)) {
+          $(".footer [data-consent-open]")?.focus?.();
+        }
+      });
+    }
+
+    $$("[data-consent-open]").forEach((btn) => btn.addEventListener("click", openPreferences));
+    $$("[data-consent-accept]").forEach((btn) =>
+      btn.addEventListener("click", () => {
+        save(Object.fromEntries(CONSENT_OPTIONAL.map((name) => [name, true])));
+        closePreferences();
+      })
+    );
+    $$("[data-consent-reject]").forEach((btn) => btn.addEventListener("click", () => save({})));
+
+    if (form) {
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        save(Object.fromEntries(CONSENT_OPTIONAL.map((name) => [name, !!form.elements.namedItem(name)?.checked])));
+        closePreferences();
+      });
+    }
+
+    window.MebloveConsent = {
+      version: CONSENT_VERSION,
+      has: hasConsent,
+      get: () => (consent ? { ...consent.categories } : null),
+      update: (categories) => save({ ...(consent ? consent.categories : {}), ...categories }),
+      open: openPreferences,
+      onChange: onConsentChange,
+    };
+
+    if (consent) activateConsented();
+    else if (banner) banner.hidden = false;
+  };
+
+  /* ----------------------------
+     Analytics (conversion events)
+     - trackEvent(name, props): CTA clicks (data-cta source), quote modal open/abandon,
+       wizard steps, form start/abandon/outcome, project filters, carousel use
+     - nothing is queued or sent without analytics consent
+     - batches go out with navigator.sendBeacon to MEBLOVE_CONFIG.analyticsEndpoint:
+       every ANALYTICS_FLUSH_MS, at ANALYTICS_BATCH events and when the page is hidden
+     - no cookies or storage: the session id lives for a single page view
+     - debug: MEBLOVE_CONFIG.analyticsDebug or ?debug=analytics logs each event to the console
+  ---------------------------- */
+  const ANALYTICS_BATCH = 20;
+  const ANALYTICS_FLUSH_MS = 10000;
+  const ANALYTICS_SESSION = Math.random().toString(36).slice(2, 10);
+
+  const analyticsQueue = [];
+  let analyticsTimer = 0;
+  const submittedForms = new WeakSet();
+
+  const isAnalyticsDebug = () =>
+    !!CONFIG.analyticsDebug || new URLSearchParams(window.location.search).get("debug") === "analytics";
+
+  const flushAnalytics = () => {
+    clearTimeout(analyticsTimer);
+    analyticsTimer = 0;
+
+    const endpoint = String(CONFIG.analyticsEndpoint || "").trim();
+    const events = analyticsQueue.splice(0);
+    if (!events.length || !endpoint || !hasConsent("analytics")) return;
+
+    const body = JSON.stringify({ session: ANALYTICS_SESSION, lang, events });
+    const queued = navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: "application/json" }));
+    if (!queued) {
+      fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+        keepalive: true,
+        credentials: "omit",
+      }).catch(() => {
+        // analytics are best effort
+      });
+    }
+  };
+
+  const trackEvent = (name, props = {}) => {
+    const allowed = hasConsent("analytics");
+    if (isAnalyticsDebug()) console.info(`[analytics] ${name}${allowed ? "" : " (no consent, dropped)"}`, props);
+    if (!allowed) return;
+
+    analyticsQueue.push({ name, props, ts: Date.now(), page: window.location.pathname });
+    if (analyticsQueue.length >= ANALYTICS_BATCH) flushAnalytics();
+    else if (!analyticsTimer) analyticsTimer = setTimeout(flushAnalytics, ANALYTICS_FLUSH_MS);
+  };
+
+  // outcome: "http", "queued" (offline outbox), "mailto", "mailto_fallback" (endpoint failed) or "blocked" (spam guard)
+  const trackSubmission = (form, outcome) => {
+    if (outcome !== "blocked") submittedForms.add(form);
+    trackEvent("form_submit", { form: form.id, outcome });
+  };
+
+  // form_start on the first edit; form_abandon when the page goes away with a started, unsent form
+  const trackFormProgress = (form) => {
+    if (!form) return;
+    let started = false;
+    let lastField = "";
+
+    form.addEventListener("input", (e) => {
+      lastField = e.target.name || lastField;
+      if (started) return;
+      started = true;
+      submittedForms.delete(form);
+      trackEvent("form_start", { form: form.id });
+    });
+
+    form.addEventListener("reset", () => {
+      started = false;
+    });
+
+    window.addEventListener("pagehide", () => {
+      if (started && !submittedForms.has(form)) trackEvent("form_abandon", { form: form.id, lastField });
+    });
+  };
+
+  const enableAnalytics = () => {
+    document.addEventListener("click", (e) => {
+      const cta = e.target.closest("[data-open-modal='quote']");
+      if (cta) trackEvent("cta_click", { source: cta.dataset.cta || "other", service: cta.dataset.service || "" });
+    }, true); // capture: logged before the click opens the modal
+
+    trackFormProgress($("#contactForm"));
+    trackFormProgress($("#quoteForm"));
+
+    // registered after trackFormProgress, so abandon events still make the last batch
+    window.addEventListener("pagehide", flushAnalytics);
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") flushAnalytics();
+    });
+
+    onConsentChange((categories) => {
+      if (!categories.analytics) analyticsQueue.length = 0;
+    });
+  };
+
+  /* ----------------------------
+     Accordion behavior (FAQ)
+     - only one open at a time, until "expand all" (or a search) opens several
+     - each item has a stable id: #faq-<slug> opens it and scrolls to it
+     - search filters questions + answers and highlights the matching words
+     - answers open/close with a height animation (instant with reduced motion)
+     - "Zapytaj nas" opens the quote form with the search text in details
+     - component "accordion"; search, toggles and status are looked up in the enclosing section
+  ---------------------------- */
+  const FAQ_HIGHLIGHT = "faq-match"; // styled with ::highlight(faq-match)
+  const FAQ_DURATION = 260; // ms
+  const faqRanges = new Map(); // accordion -> highlighted ranges; one registry entry for all of them
+
+  // CSS Custom Highlight API: no <mark> elements, so i18n can keep rewriting the text nodes
+  const paintFaqHighlights = () => {
+    if (!window.CSS || !CSS.highlights || typeof Highlight !== "function") return;
+    const ranges = [...faqRanges.values()].flat();
+    if (ranges.length) CSS.highlights.set(FAQ_HIGHLIGHT, new Highlight(...ranges));
+    else CSS.highlights.delete(FAQ_HIGHLIGHT);
+  };
+
+  const createAccordion = (acc, { listen, cleanup }) => {
+    const area = acc.closest("section") || document;
+    const items = $$("details", acc);
+    const search = $("[data-faq-search]", area);
+    const status = $("[data-faq-status]", area);
+    const empty = $("[data-faq-empty]", area);
+    const canAnimate = !prefersReducedMotion && typeof Element.prototype.animate === "function";
+    const running = new Map(); // item -> { animation, open }
+    let exclusive = true;
+    let query = "";
+
+    const collapsed = { height: "0px", paddingBottom: "0px", opacity: 0 };
+    const snapshot = (body) => ({
+      height: `${body.getBoundingClientRect().height}px`,
+      paddingBottom: window.getComputedStyle(body).paddingBottom,
+      opacity: 1,
+    });
+
+    // [open] is set before an opening animation and removed after a closing one
+    const setOpen = (item, open, { animate = canAnimate } = {}) => {
+      const current = running.get(item);
+      if (current ? current.open === open : item.open === open) return;
+
+      const body = $(".faq__a", item);
+      if (!animate || !body) {
+        current?.animation.cancel();
+        running.delete(item);
+        item.open = open;
+        return;
+      }
+
+      // reversing mid-way starts from where the running animation is
+      const from = item.open ? snapshot(body) : collapsed;
+      current?.animation.cancel();
+      item.open = true;
+      const to = open ? snapshot(body) : collapsed;
+
+      const animation = body.animate([from, to], { duration: FAQ_DURATION, easing: "cubic-bezier(.2,.8,.2,1)" });
+      running.set(item, { animation, open });
+      animation.onfinish = () => {
+        running.delete(item);
+        if (!open) item.open = false;
+      };
+    };
+
+    const isOpening = (item) => (running.has(item) ? running.get(item).open : item.open);
+
+    const highlight = (words) => {
+      const ranges = [];
+      items
+        .filter((item) => !item.hidden)
+        .forEach((item) => {
+          const walker = document.createTreeWalker(item, NodeFilter.SHOW_TEXT);
+          for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const text = normalizeText(node.nodeValue);
+            if (text.length !== node.nodeValue.length) continue; // offsets would not line up
+            words.forEach((word) => {
+              for (let i = text.indexOf(word); i !== -1; i = text.indexOf(word, i + word.length)) {
+                const range = document.createRange();
+                range.setStart(node, i);
+                range.setEnd(node, i + word.length);
+                ranges.push(range);
+              }
+            });
+          }
+        });
+
+      faqRanges.set(acc, ranges);
+      paintFaqHighlights();
+    };
+
+    const applySearch = ({ silent = false } = {}) => {
+      const words = searchWords(query);
+      let visible = 0;
+
+      items.forEach((item) => {
+        const text = normalizeText(item.textContent);
+        const hit = words.every((w) => text.includes(w));
+        item.hidden = !hit;
+        if (!hit) setOpen(item, false, { animate: false });
+        else visible += 1;
+      });
+
+      // matches stay open, so highlighted words in the answers are visible
+      exclusive = !words.length;
+      if (words.length) items.forEach((item) => !item.hidden && setOpen(item, true));
+
+      if (empty) empty.hidden = visible > 0;
+      if (status && !silent) status.textContent = words.length ? (visible ? tn("faq.results", visible) : t("faq.empty")) : "";
+      highlight(words);
+    };
+
+    const setQuery = (value) => {
+      const had = !!query;
+      query = value.trim();
+      if (search && search.value.trim() !== query) search.value = query;
+      applySearch();
+      if (had && !query) items.forEach((item) => setOpen(item, false));
+    };
+
+    items.forEach((item) => {
+      const summary = $("summary", item);
+      if (summary) {
+        listen(summary, "click", (e) => {
+          e.preventDefault();
+          setOpen(item, !isOpening(item));
+        });
+      }
+
+      // also covers opens we don't animate (find-in-page, hash links)
+      listen(item, "toggle", () => {
+        if (!item.open || !exclusive) return;
+        items.forEach((other) => {
+          if (other !== item) setOpen(other, false);
+        });
+      });
+    });
+
+    // Opens an item (dropping a search that hides it); the caller scrolls
+    const reveal = (target) => {
+      if (!items.includes(target)) return false;
+      if (target.hidden) setQuery("");
+      exclusive = true;
+      // others close instantly, so the scroll target does not move under the scroll
+      items.forEach((item) => {
+        if (item !== target) setOpen(item, false, { animate: false });
+      });
+      setOpen(target, true);
+      return true;
+    };
+
+    const itemFromHash = () => {
+      const el = document.getElementById(decodeHash());
+      return el && items.includes(el) ? el : null;
+    };
+
+    const expandBtn = $("[data-faq-expand]", area);
+    const collapseBtn = $("[data-faq-collapse]", area);
+    const askBtn = $("[data-faq-ask]", area);
+
+    if (expandBtn) {
+      listen(expandBtn, "click", () => {
+        exclusive = false;
+        items.forEach((item) => !item.hidden && setOpen(item, true));
+      });
+    }
+
+    if (collapseBtn) {
+      listen(collapseBtn, "click", () => {
+        exclusive = true;
+        items.forEach((item) => setOpen(item, false));
+      });
+    }
+
+    if (search) {
+      listen(search, "input", () => setQuery(search.value));
+      listen(search, "keydown", (e) => {
+        if (e.key === "Escape" && search.value) {
+          e.stopPropagation();
+          setQuery("");
+        }
+      });
+    }
+
+    // the [data-open-modal] binding opens the form; this only adds the question
+    if (askBtn) {
+      listen(askBtn, "click", () => {
+        if (query) appendQuoteDetails(`${t("faq.askDetails")}\n${query}`);
+      });
+    }
+
+    // the text nodes were rewritten: filter and highlight again
+    cleanup(onLanguageChange(() => applySearch({ silent: true })));
+
+    listen(window, "hashchange", () => {
+      const item = itemFromHash();
+      if (!item || !reveal(item)) return;
+      // back/forward: the scroll-spy restores the saved position instead
+      if (typeof window.history.state?.scrollY !== "number") scrollToEl(item);
+    });
+
+    cleanup(() => {
+      running.forEach(({ animation }) => animation.cancel());
+      faqRanges.delete(acc);
+      paintFaqHighlights();
+    });
+
+    const initial = itemFromHash();
+    if (initial && reveal(initial) && typeof window.history.state?.scrollY !== "number") {
+      scrollToEl(initial, { behavior: "auto" });
+    }
+
+    return { reveal, search: setQuery };
+  };
+
+  defineComponent("accordion", createAccordion);
+
+  /* ----------------------------
+     Forms: transport
+     - POST JSON to form[data-endpoint] or MEBLOVE_CONFIG.endpoint
+     - retries on network failure / 5xx
+     - falls back to mailto when no endpoint or sending failed
+  ---------------------------- */
+  const CONFIG = Object.assign(
+    {
+      endpoint: "", // global fallback for forms without data-endpoint
+      retries: 2, // extra attempts after the first one
+      retryDelay: 800, // ms, grows linearly with each attempt
+      timeout: 12000, // ms per attempt
+      minFillTime: 3000, // ms between showing a form and the earliest accepted submit
+      maxSubmissions: 3, // per browser within submissionWindow
+      submissionWindow: 15 * 60 * 1000, // ms
+      proofBits: 14, // proof-of-work difficulty (leading zero bits of SHA-256)
+      analyticsEndpoint: "", // POST target for event batches; empty = events are not sent
+      analyticsDebug: false, // log events to the console (also ?debug=analytics)
+      serviceWorker: "sw.js", // offline cache + outbox; empty = not registered
+      serviceArea: [], // city names for areaServed in JSON-LD; empty = left out
+      slotsEndpoint: "", // free measurement slots (JSON); empty = no visit step in the quote wizard
+      pricingEndpoint: "", // price table for the estimator (JSON); empty = estimator hidden
+    },
+    window.MEBLOVE_CONFIG || {}
+  );
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const getEndpoint = (form) => String(form.dataset.endpoint || CONFIG.endpoint || "").trim();
+
+  const postJSON = async (url, payload) => {
+    const ctrl = "AbortController" in window ? new AbortController() : null;
+    const timer = ctrl ? setTimeout(() => ctrl.abort(), CONFIG.timeout) : 0;
+
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify(payload),
+        credentials: "same-origin",
+        signal: ctrl ? ctrl.signal : undefined,
+      });
+      if (!res.ok) {
+        const err = new Error(`HTTP ${res.status}`);
+        err.status = res.status;
+        throw err;
+      }
+      return res;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const postWithRetry = async (url, payload) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await postJSON(url, payload);
+      } catch (err) {
+        // 4xx means the backend rejected the data; repeating it won't help
+        const retriable = !err.status || err.status >= 500;
+        if (!retriable || attempt >= CONFIG.retries) throw err;
+        await wait(CONFIG.retryDelay * (attempt + 1));
+      }
+    }
+  };
+
+  const setFormBusy = (form, busy) => {
+    form.setAttribute("aria-busy", busy ? "true" : "false");
+    $$("[type='submit']", form).forEach((btn) => {
+      btn.disabled = busy;
+    });
+  };
+
+  const isFormBusy = (form) => form.getAttribute("aria-busy") === "true";
+
+  // Returns "http" when the backend accepted the lead, "mailto" when the mail client was opened.
+  // "queued" when there was no connection and the lead waits in the offline outbox.
+  // "blocked" when the spam guard refused the submission (the note says why).
+  const submitForm = async (form, { note, payload, mail }) => {
+    const endpoint = getEndpoint(form);
+
+    const attachments = attachmentsByForm.get(form);
+    const guard = spamGuardsByForm.get(form);
+
+    const blocked = guard ? guard.check() : "";
+    if (blocked) {
+      setNote(note, blocked, "error");
+      trackSubmission(form, "blocked");
+      return "blocked";
+    }
+
+    if (endpoint) {
+      setFormBusy(form, true);
+      setNote(note, t("form.sending"), "neutral");
+
+      try {
+        if (attachments && attachments.count()) {
+          await attachments.ready();
+          payload.attachments = await attachments.toPayload();
+        }
+        if (guard) payload.proof = await guard.proof();
+        if (navigator.onLine === false) throw new TypeError("offline");
+        await postWithRetry(endpoint, payload);
+        recordSubmission();
+        trackSubmission(form, "http");
+        setNote(note, t("form.sent"), "ok");
+        return "http";
+      } catch (err) {
+        // no HTTP status = no connection: keep the lead for later instead of falling back to mail
+        if (!err.status && (await queueSubmission(endpoint, payload))) {
+          recordSubmission();
+          trackSubmission(form, "queued");
+          setNote(note, t("outbox.queued"), "ok");
+          return "queued";
+        }
+        setNote(note, t("form.sendFailed"), "error");
+      } finally {
+        setFormBusy(form, false);
+      }
+    } else {
+      setNote(note, t("form.openingMail"), "ok");
+    }
+
+    if (attachments && attachments.count()) {
+      setNote(note, `${note ? note.textContent : ""} ${t("form.attachReminder")}`.trim(), "ok");
+    }
+
+    recordSubmission();
+    trackSubmission(form, endpoint ? "mailto_fallback" : "mailto");
+    window.location.href = buildMailto(mail);
+    return "mailto";
+  };
+
+  // Visible (translated) label of the selected option; values stay Polish for the payload
+  const optionText = (select) => select.selectedOptions[0]?.textContent.trim() || select.value;
+
+  const fieldText = (form, name) => {
+    const el = form.elements.namedItem(name);
+    if (!el || !el.value) return "";
+    return el.tagName === "SELECT" ? optionText(el) : el.value;
+  };
+
+  const buildPayload = (form, { source, subject, data, body }) => {
+    const fields = { ...data, consent: !!form.elements.namedItem("consent")?.checked };
+    delete fields[HONEYPOT_NAME];
+    return {
+      source,
+      subject,
+      fields,
+      message: body,
+      page: window.location.href,
+      lang,
+      sentAt: new Date().toISOString(),
+    };
+  };
+
+  /* ----------------------------
+     Offline: service worker + outbox
+     - sw.js precaches the app shell, data files and portfolio images; offline.html as fallback
+     - leads submitted without a connection wait in IndexedDB (OUTBOX_DB / OUTBOX_STORE)
+     - the service worker sends them on Background Sync; without it the page does, on load and "online"
+     - the form note tells when a queued lead is waiting and when it went out
+  ---------------------------- */
+  // keep in sync with sw.js
+  const OUTBOX_DB = "meblove";
+  const OUTBOX_STORE = "outbox";
+  const OUTBOX_SYNC_TAG = "meblove-outbox";
+  const OUTBOX_NOTES = { contact: "#formNote", quote: "#quoteNote" };
+  let flushingOutbox = false;
+
+  const openOutbox = () =>
+    new Promise((resolve, reject) => {
+      const req = indexedDB.open(OUTBOX_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: "id", autoIncrement: true });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+  // One request against the outbox store; resolves with its result once the transaction commits
+  const outboxRequest = async (mode, action) => {
+    const db = await openOutbox();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, mode);
+        const req = action(tx.objectStore(OUTBOX_STORE));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = tx.onabort = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  };
+
+  const syncRegistration = async () => {
+    if (!("serviceWorker" in navigator) || !navigator.serviceWorker.controller) return null;
+    const reg = await navigator.serviceWorker.getRegistration();
+    return reg && "sync" in reg ? reg : null;
+  };
+
+  // Returns whether the payload was stored; false sends the caller down the mailto fallback
+  const queueSubmission = async (endpoint, payload) => {
+    if (!("indexedDB" in window)) return false;
+    try {
+      await outboxRequest("readwrite", (store) => store.add({ endpoint, payload, queuedAt: Date.now() }));
+    } catch (err) {
+      return false;
+    }
+    try {
+      const reg = await syncRegistration();
+      if (reg) await reg.sync.register(OUTBOX_SYNC_TAG);
+    } catch (err) {
+      // no Background Sync: flushOutbox() runs on the next load or "online" event
+    }
+    return true;
+  };
+
+  const announceOutbox = (source, status) => {
+    const messages = { pending: "outbox.pending", sent: "outbox.sent", rejected: "outbox.rejected" };
+    setNote($(OUTBOX_NOTES[source] || OUTBOX_NOTES.contact), t(messages[status]), status === "rejected" ? "error" : "ok");
+  };
+
+  // Page-side delivery for browsers without Background Sync
+  const flushOutbox = async () => {
+    if (flushingOutbox || navigator.onLine === false) return;
+    flushingOutbox = true;
+    try {
+      const entries = await outboxRequest("readonly", (store) => store.getAll());
+      for (const entry of entries) {
+        let status = "sent";
+        try {
+          await postJSON(entry.endpoint, entry.payload);
+        } catch (err) {
+          if (!err.status || err.status >= 500) break; // still offline or server trouble: next time
+          status = "rejected";
+        }
+        await outboxRequest("readwrite", (store) => store.delete(entry.id));
+        announceOutbox(entry.payload.source, status);
+      }
+    } catch (err) {
+      // storage unavailable: nothing was queued
+    } finally {
+      flushingOutbox = false;
+    }
+  };
+
+  const enableOffline = async () => {
+    const swEnabled = CONFIG.serviceWorker && "serviceWorker" in navigator && window.location.protocol !== "file:";
+
+    if (swEnabled) {
+      navigator.serviceWorker.register(CONFIG.serviceWorker).catch(() => {
+        // offline support is an enhancement; the site works without it
+      });
+      navigator.serviceWorker.addEventListener("message", (e) => {
+        if (e.data && e.data.type === "outbox") announceOutbox(e.data.source, e.data.status);
+      });
+    }
+
+    if (!("indexedDB" in window)) return;
+
+    const deliver = async () => {
+      const reg = await syncRegistration().catch(() => null);
+      if (reg) reg.sync.register(OUTBOX_SYNC_TAG).catch(() => {});
+      else flushOutbox();
+    };
+    window.addEventListener("online", deliver);
+
+    let pending = [];
+    try {
+      pending = await outboxRequest("readonly", (store) => store.getAll());
+    } catch (err) {
+      return;
+    }
+    if (!pending.length) return;
+    new Set(pending.map((entry) => entry.payload.source)).forEach((source) => announceOutbox(source, "pending"));
+    deliver();
+  };
+
+  /* ----------------------------
+     Forms: validation
+     - rules and schemas: js/forms.js (contactSchema, quoteSchema, fieldError)
+     - error text under each field, linked via aria-describedby + aria-invalid
+     - validates on submit and on blur (once the field was edited or already shows an error)
+  ---------------------------- */
+  const setDescribedBy = (el, id, on) => {
+    const ids = (el.getAttribute("aria-describedby") || "").split(/\s+/).filter((x) => x && x !== id);
+    if (on) ids.push(id);
+    if (ids.length) el.setAttribute("aria-describedby", ids.join(" "));
+    else el.removeAttribute("aria-describedby");
+  };
+
+  const showFieldError = (el, message) => {
+    const field = el.closest(".field") || el.parentElement;
+    const id = `${el.form.id}-${el.name}-error`;
+    let error = document.getElementById(id);
+
+    if (message && !error) {
+      error = document.createElement("span");
+      error.className = "field__error";
+      error.id = id;
+      // inside the <label>: keep it out of the accessible name, aria-describedby still reads it
+      error.setAttribute("aria-hidden", "true");
+      field.append(error);
+    }
+    if (error) {
+      error.textContent = message;
+      error.hidden = !message;
+    }
+
+    el.classList.toggle("is-invalid", !!message);
+    field.classList.toggle("is-invalid", !!message);
+    if (message) el.setAttribute("aria-invalid", "true");
+    else el.removeAttribute("aria-invalid");
+    setDescribedBy(el, id, !!message);
+  };
+
+  const validatorsByForm = new WeakMap();
+
+  const attachValidation = (form, schema) => {
+    if (!form) return null;
+
+    const edited = new WeakSet();
+
+    const fieldsIn = (scope) =>
+      $$("input, select, textarea", scope).filter((el) => el.name && el.type !== "file" && !el.matches(":disabled"));
+
+    const validateField = (el) => {
+      const message = fieldError(el, schema[el.name]);
+      showFieldError(el, message);
+      return !message;
+    };
+
+    // scope: whole form on submit, a single wizard step on "Dalej"; returns the invalid fields in DOM order
+    const validate = (scope = form) => fieldsIn(scope).filter((el) => !validateField(el));
+
+    const clear = () => {
+      $$("input, select, textarea", form).forEach((el) => {
+        if (el.name) showFieldError(el, "");
+      });
+    };
+
+    const isShowingError = (el) => el.getAttribute("aria-invalid") === "true";
+
+    form.addEventListener("input", (e) => {
+      edited.add(e.target);
+      if (isShowingError(e.target)) validateField(e.target);
+    });
+
+    form.addEventListener("change", (e) => {
+      edited.add(e.target);
+      if (e.target.type === "checkbox" || e.target.tagName === "SELECT" || isShowingError(e.target)) {
+        validateField(e.target);
+      }
+    });
+
+    form.addEventListener("focusout", (e) => {
+      const el = e.target;
+      if (!el.name || el.type === "file" || el.disabled) return;
+      if (edited.has(el) || isShowingError(el)) validateField(el);
+    });
+
+    form.addEventListener("reset", clear);
+
+    // messages follow the page language
+    onLanguageChange(() => fieldsIn(form).filter(isShowingError).forEach(validateField));
+
+    const validator = { validate, validateField, clear };
+    validatorsByForm.set(form, validator);
+    return validator;
+  };
+
+  // Submit-time check: per-field errors, a summary note and focus on the first invalid field
+  const validateForm = (form, { scope = form, note, message = t("form.invalid") } = {}) => {
+    const validator = validatorsByForm.get(form);
+    if (!validator) return true;
+
+    setNote(note, "");
+    const invalid = validator.validate(scope);
+    if (!invalid.length) return true;
+
+    setNote(note, message, "error");
+    invalid[0].focus();
+    return false;
+  };
+
+  /* ----------------------------
+     Forms: drafts
+     - localStorage autosave + restore prompt: js/drafts.js (attachDraft)
+  ---------------------------- */
+
+  /* ----------------------------
+     Forms: spam protection (no third-party captcha, works offline)
+     - honeypot field (input[name=website]) hidden from people
+     - minimum time between showing the form and submitting it
+     - per-browser rate limit kept in localStorage
+     - proof-of-work token (SHA-256, Web Worker) attached to HTTP payloads
+  ---------------------------- */
+  const HONEYPOT_NAME = "website";
+  const SUBMISSIONS_KEY = "meblove:submissions";
+
+  const spamGuardsByForm = new WeakMap();
+
+  // Hashcash-style search for a nonce giving SHA-256("challenge:nonce") `bits` leading zero bits.
+  // Self-contained: its source is also what the worker runs.
+  const solveProof = async (challenge, bits) => {
+    const encoder = new TextEncoder();
+    const whole = bits >> 3;
+    const mask = (0xff << (8 - (bits & 7))) & 0xff;
+    for (let nonce = 0; ; nonce++) {
+      const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", encoder.encode(`${challenge}:${nonce}`)));
+      let ok = (hash[whole] & mask) === 0;
+      for (let i = 0; ok && i < whole; i++) ok = hash[i] === 0;
+      if (ok) return nonce;
+    }
+  };
+
+  const PROOF_WORKER_SOURCE = `const solve = ${solveProof};
+self.onmessage = async (e) => self.postMessage(await solve(e.data.challenge, e.data.bits));`;
+
+  let proofWorkerUrl = "";
+
+  const solveInWorker = (challenge, bits) =>
+    new Promise((resolve, reject) => {
+      proofWorkerUrl = proofWorkerUrl || URL.createObjectURL(new Blob([PROOF_WORKER_SOURCE], { type: "text/javascript" }));
+      const worker = new Worker(proofWorkerUrl);
+      worker.onmessage = (e) => {
+        worker.terminate();
+        resolve(e.data);
+      };
+      worker.onerror = (e) => {
+        worker.terminate();
+        reject(e);
+      };
+      worker.postMessage({ challenge, bits });
+    });
+
+  // null without WebCrypto (insecure context); the backend decides how to treat that
+  const computeProof = async (challenge, bits) => {
+    if (!window.crypto || !window.crypto.subtle) return null;
+    let nonce;
+    try {
+      nonce = "Worker" in window ? await solveInWorker(challenge, bits) : await solveProof(challenge, bits);
+    } catch (err) {
+      nonce = await solveProof(challenge, bits); // workers from blob: URLs blocked (CSP)
+    }
+    return { challenge, nonce, bits };
+  };
+
+  const newChallenge = (form) => {
+    const random = new Uint32Array(2);
+    window.crypto?.getRandomValues?.(random);
+    return `${form.id}:${Date.now()}:${Array.from(random, (n) => n.toString(16)).join("")}`;
+  };
+
+  const readSubmissions = () => {
+    try {
+      const list = JSON.parse(localStorage.getItem(SUBMISSIONS_KEY) || "[]");
+      return Array.isArray(list) ? list.filter((ts) => Date.now() - ts < CONFIG.submissionWindow) : [];
+    } catch (err) {
+      return []; // storage blocked: no rate limit on this device
+    }
+  };
+
+  const recordSubmission = () => {
+    try {
+      localStorage.setItem(SUBMISSIONS_KEY, JSON.stringify([...readSubmissions(), Date.now()]));
+    } catch (err) {
+      // storage blocked or full
+    }
+  };
+
+  const attachSpamGuard = (form) => {
+    if (!form) return null;
+
+    const trap = form.elements.namedItem(HONEYPOT_NAME);
+    let shownAt = 0;
+    let proof = null;
+
+    // the clock restarts whenever the form is shown anew (page load, modal open, reset)
+    const arm = () => {
+      shownAt = Date.now();
+      proof = null;
+    };
 
-  // Close mobile nav on resize to desktop
-  window.addEventListener("resize", () => {
-    if (window.innerWidth > 760) closeMobileNav();
-  });
+    // the work starts with the first interaction, so it is usually done before "Wyślij"
+    const startProof = () => {
+      if (!proof) proof = computeProof(newChallenge(form), CONFIG.proofBits).catch(() => null);
+      return proof;
+    };
 
-  /* ----------------------------
-     Reveal-on-scroll
-  ---------------------------- */
-  const enableReveals = () => {
-    const nodes = $$(".reveal");
-    if (!nodes.length) return;
+    // user-facing reason when the submission is refused, "" when it may go out
+    const check = () => {
+      if (trap && trap.value) return t("spam.blocked");
+      if (Date.now() - shownAt < CONFIG.minFillTime) return t("spam.tooFast");
 
-    if (prefersReducedMotion || !("IntersectionObserver" in window)) {
-      nodes.forEach((n) => n.classList.add("is-visible"));
-      return;
-    }
+      const recent = readSubmissions();
+      if (recent.length >= CONFIG.maxSubmissions) {
+        const minutes = Math.max(1, Math.ceil((recent[0] + CONFIG.submissionWindow - Date.now()) / 60000));
+        return t("spam.rateLimited", { minutes });
+      }
+      return "";
+    };
 
-    const io = new IntersectionObserver(
-      (entries) => {
-        for (const e of entries) {
-          if (e.isIntersecting) {
-            e.target.classList.add("is-visible");
-            io.unobserve(e.target);
-          }
-        }
-      },
-      { root: null, threshold: 0.12 }
-    );
+    form.addEventListener("focusin", startProof);
+    form.addEventListener("reset", arm);
+    arm();
 
-    nodes.forEach((n) => io.observe(n));
+    const guard = { arm, check, proof: startProof };
+    spamGuardsByForm.set(form, guard);
+    return guard;
   };
 
   /* ----------------------------
-     Hero counters
+     Attachments (drag & drop)
+     - type/size/count limits from data-max-files / data-max-mb
+     - large photos downscaled on a canvas before upload
+     - files travel only with the HTTP transport (base64 in JSON)
   ---------------------------- */
-  const enableCounters = () => {
-    const counters = $$("[data-count]");
-    if (!counters.length) return;
-
-    const animateCount = (el, to) => {
-      const duration = prefersReducedMotion ? 1 : 1200;
-      const start = performance.now();
-      const from = 0;
+  const ATTACHMENT_TYPES = ["image/jpeg", "image/png", "image/webp", "application/pdf"];
+  const IMAGE_MAX_DIMENSION = 2000; // px, longer edge
+  const IMAGE_QUALITY = 0.85;
+
+  const attachmentsByForm = new WeakMap();
+
+  const formatFileSize = (bytes) =>
+    bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} kB`;
+
+  const loadImage = (file) =>
+    new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`Cannot decode ${file.name}`));
+      };
+      img.src = url;
+    });
 
-      const tick = (now) => {
-        const t = clamp((now - start) / duration, 0, 1);
-        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2; // easeInOutQuad
-        const val = Math.round(from + (to - from) * eased);
+  // Returns the original file when it is small enough or the browser can't re-encode it.
+  const downscaleImage = async (file) => {
+    if (!file.type.startsWith("image/")) return file;
+
+    try {
+      const img = await loadImage(file);
+      const scale = Math.min(1, IMAGE_MAX_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+      if (scale === 1) return file;
+
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(img.naturalWidth * scale);
+      canvas.height = Math.round(img.naturalHeight * scale);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      // floor plans are usually line art: keep PNG lossless, photos go to JPEG
+      const type = file.type === "image/png" ? "image/png" : "image/jpeg";
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, type, IMAGE_QUALITY));
+      if (!blob || blob.size >= file.size) return file;
+
+      const name = type === "image/jpeg" ? file.name.replace(/\.(png|webp|jpe?g)$/i, "") + ".jpg" : file.name;
+      return new File([blob], name, { type, lastModified: file.lastModified });
+    } catch (err) {
+      return file;
+    }
+  };
 
-        el.textContent = String(val);
+  const readAsBase64 = (file) =>
+    new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
 
-        if (t < 1) requestAnimationFrame(tick);
-        else el.textContent = String(to);
-      };
+  const createAttachments = (root, note) => {
+    const input = $("input[type='file']", root);
+    const area = $("[data-dropzone]", root);
+    const list = $("[data-attachment-list]", root);
+    if (!input || !area || !list) return null;
+
+    const maxFiles = Number(root.dataset.maxFiles || 6);
+    const maxBytes = Number(root.dataset.maxMb || 10) * 1024 * 1024;
+
+    let items = []; // { id, file, url, li }
+    let pending = [];
+    let seq = 0;
+
+    const remove = (id) => {
+      const item = items.find((it) => it.id === id);
+      if (!item) return;
+      if (item.url) URL.revokeObjectURL(item.url);
+      item.li.remove();
+      items = items.filter((it) => it !== item);
+      input.focus();
+    };
 
-      requestAnimationFrame(tick);
+    const renderItem = (item) => {
+      const li = document.createElement("li");
+      li.className = "dropzone__item is-pending";
+
+      const thumb = document.createElement("span");
+      thumb.className = "dropzone__thumb";
+      thumb.setAttribute("aria-hidden", "true");
+      thumb.textContent = item.file.type === "application/pdf" ? "PDF" : "";
+
+      const name = document.createElement("span");
+      name.className = "dropzone__name";
+      name.textContent = item.file.name;
+
+      const size = document.createElement("span");
+      size.className = "dropzone__size";
+      size.textContent = t("attach.processing");
+
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "dropzone__remove";
+      del.setAttribute("aria-label", t("attach.remove", { name: item.file.name }));
+      del.textContent = "✕";
+      del.addEventListener("click", () => remove(item.id));
+
+      li.append(thumb, name, size, del);
+      list.append(li);
+      item.li = li;
     };
 
-    const run = () => counters.forEach((el) => animateCount(el, Number(el.dataset.count || "0")));
+    const finishItem = (item) => {
+      item.li.classList.remove("is-pending");
+      $(".dropzone__size", item.li).textContent = formatFileSize(item.file.size);
 
-    // Only run when hero visible
-    const hero = $(".hero");
-    if (!hero || !("IntersectionObserver" in window) || prefersReducedMotion) {
-      run();
-      return;
-    }
+      if (item.file.type.startsWith("image/")) {
+        item.url = URL.createObjectURL(item.file);
+        const img = document.createElement("img");
+        img.src = item.url;
+        img.alt = "";
+        $(".dropzone__thumb", item.li).append(img);
+      }
+    };
 
-    let ran = false;
-    const io = new IntersectionObserver(
-      (entries) => {
-        if (!ran && entries.some((e) => e.isIntersecting)) {
-          ran = true;
-          run();
-          io.disconnect();
-        }
-      },
-      { threshold: 0.25 }
-    );
-    io.observe(hero);
-  };
+    const add = (fileList) => {
+      const errors = [];
 
-  /* ----------------------------
-     Projects filter
-  ---------------------------- */
-  const enableProjectFilter = () => {
-    const grid = $("#projectGrid");
-    if (!grid) return;
+      Array.from(fileList || []).forEach((raw) => {
+        if (!ATTACHMENT_TYPES.includes(raw.type)) {
+          errors.push(t("attach.badType", { name: raw.name }));
+          return;
+        }
+        if (items.length >= maxFiles) {
+          errors.push(t("attach.tooMany", { name: raw.name, max: maxFiles }));
+          return;
+        }
+        // PDFs can't be shrunk, so reject them early; images are checked after downscaling
+        if (!raw.type.startsWith("image/") && raw.size > maxBytes) {
+          errors.push(t("attach.tooBig", { name: raw.name, size: formatFileSize(maxBytes) }));
+          return;
+        }
 
-    const filters = $$(".filter");
-    const items = $$(".project", grid);
-    if (!filters.length || !items.length) return;
+        const item = { id: ++seq, file: raw, url: "", li: null };
+        items.push(item);
+        renderItem(item);
 
-    const setActive = (btn) => {
-      filters.forEach((b) => {
-        b.classList.toggle("is-active", b === btn);
-        b.setAttribute("aria-selected", b === btn ? "true" : "false");
+        const job = downscaleImage(raw).then((file) => {
+          if (!items.includes(item)) return;
+          if (file.size > maxBytes) {
+            setNote(note, t("attach.tooBig", { name: raw.name, size: formatFileSize(maxBytes) }), "error");
+            remove(item.id);
+            return;
+          }
+          item.file = file;
+          finishItem(item);
+        });
+        pending.push(job);
+        job.finally(() => {
+          pending = pending.filter((p) => p !== job);
+        });
       });
+
+      if (errors.length) setNote(note, t("attach.skipped", { list: errors.join("; ") }), "error");
     };
 
-    const applyFilter = (key) => {
-      items.forEach((card) => {
-        const tags = String(card.dataset.tags || "").split(",").map((s) => s.trim()).filter(Boolean);
-        const show = key === "all" ? true : tags.includes(key);
-        card.classList.toggle("is-hidden", !show);
-      });
+    const clear = () => {
+      items.forEach((it) => it.url && URL.revokeObjectURL(it.url));
+      items = [];
+      list.textContent = "";
     };
 
-    filters.forEach((btn) => {
-      btn.addEventListener("click", () => {
-        const key = btn.dataset.filter || "all";
-        setActive(btn);
-        applyFilter(key);
-      });
+    // Drag & drop
+    let depth = 0;
+    area.addEventListener("dragenter", (e) => {
+      e.preventDefault();
+      depth++;
+      area.classList.add("is-dragover");
+    });
+    area.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      if (e.dataTransfer) e.dataTransfer.dropEffect = "copy";
+    });
+    area.addEventListener("dragleave", () => {
+      depth = Math.max(0, depth - 1);
+      if (!depth) area.classList.remove("is-dragover");
+    });
+    area.addEventListener("drop", (e) => {
+      e.preventDefault();
+      depth = 0;
+      area.classList.remove("is-dragover");
+      add(e.dataTransfer ? e.dataTransfer.files : []);
     });
-  };
-
-  /* ----------------------------
-     Reviews carousel controls
-  ---------------------------- */
-  const enableCarousel = () => {
-    const carousel = $("[data-carousel]");
-    if (!carousel) return;
 
-    const track = $("[data-carousel-track]", carousel);
-    const prev = $("[data-carousel-prev]", carousel);
-    const next = $("[data-carousel-next]", carousel);
-    if (!track) return;
+    input.addEventListener("change", () => {
+      add(input.files);
+      input.value = ""; // allow picking the same file again after removing it
+    });
 
-    const scrollByCard = (dir) => {
-      const firstCard = track.children[0];
-      const cardWidth = firstCard ? firstCard.getBoundingClientRect().width : 340;
-      const gap = 16;
-      const step = cardWidth + gap;
-      track.scrollBy({ left: dir * step, behavior: prefersReducedMotion ? "auto" : "smooth" });
+    return {
+      clear,
+      count: () => items.length,
+      names: () => items.map((it) => `${it.file.name} (${formatFileSize(it.file.size)})`),
+      ready: () => Promise.all(pending),
+      toPayload: () =>
+        Promise.all(
+          items.map(async ({ file }) => ({
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            data: await readAsBase64(file),
+          }))
+        ),
     };
+  };
 
-    if (prev) prev.addEventListener("click", () => scrollByCard(-1));
-    if (next) next.addEventListener("click", () => scrollByCard(1));
+  const attachAttachments = (form) => {
+    if (!form) return;
+    const root = $("[data-attachments]", form);
+    const attachments = root ? createAttachments(root, $(".form__note", form)) : null;
+    if (!attachments) return;
 
-    // Optional: keyboard support when track focused
-    track.setAttribute("tabindex", "0");
-    track.addEventListener("keydown", (e) => {
-      if (e.key === "ArrowLeft") scrollByCard(-1);
-      if (e.key === "ArrowRight") scrollByCard(1);
-    });
+    attachmentsByForm.set(form, attachments);
+    form.addEventListener("reset", () => attachments.clear());
+  };
+
+  // Extra mail body lines listing attached files
+  const attachmentLines = (form) => {
+    const attachments = attachmentsByForm.get(form);
+    if (!attachments || !attachments.count()) return [];
+    return ["", t("attach.heading"), ...attachments.names().map((n) => `- ${n}`)];
   };
 
   /* ----------------------------
-     Modal with focus trap
+     Measurement booking
+     - free slots: MEBLOVE_CONFIG.slotsEndpoint; without it the "visit" step is removed from the wizard.
+       data/slots.json is sample data ("sample": true, fixed dates) for demos and tests, never a default
+     - week view of slot buttons; the pick lives in the hidden "visit" input (UTC ISO start)
+     - the pick is checked against fresh data right before sending
+     - "Dodaj do kalendarza" builds an .ics invitation for the picked slot
   ---------------------------- */
-  const modal = $("#modalQuote");
-  const modalPanel = modal ? $(".modal__panel", modal) : null;
-  const quoteForm = $("#quoteForm");
-  const quoteServiceSelect = $("#quoteService");
-  let removeModalEsc = null;
-  let lastActiveEl = null;
-
-  const getFocusable = (root) =>
-    $$(
-      [
-        'a[href]',
-        'button:not([disabled])',
-        'input:not([disabled])',
-        'select:not([disabled])',
-        'textarea:not([disabled])',
-        '[tabindex]:not([tabindex="-1"])',
-      ].join(","),
-      root
-    ).filter((el) => el.offsetParent !== null);
-
-  const trapFocus = (root) => {
-    const handler = (e) => {
-      if (e.key !== "Tab") return;
-
-      const focusable = getFocusable(root);
-      if (!focusable.length) return;
-
-      const first = focusable[0];
-      const last = focusable[focusable.length - 1];
-
-      if (e.shiftKey && document.activeElement === first) {
-        e.preventDefault();
-        last.focus();
-      } else if (!e.shiftKey && document.activeElement === last) {
-        e.preventDefault();
-        first.focus();
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const BOOKING_TIME_ZONE = "Europe/Warsaw";
+
+  // "YYYY-MM-DD" of an instant in the workshop's time zone
+  const zonedDay = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat("en", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).formatToParts(date);
+    const part = (type) => parts.find((p) => p.type === type).value;
+    return `${part("year")}-${part("month")}-${part("day")}`;
+  };
+
+  // Monday of the week holding the given day, as UTC midnight
+  const weekOf = (day) => {
+    const date = new Date(`${day}T00:00:00Z`);
+    return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  };
+
+  // Past and malformed entries are dropped; "available": false marks a booked slot
+  const normalizeSlots = (data, timeZone) => {
+    const duration = (Number(data.duration) || 60) * 60 * 1000;
+    const now = Date.now();
+    return (data.slots || [])
+      .map((slot) => ({ start: new Date(slot.start), available: slot.available !== false }))
+      .filter((slot) => slot.start.getTime() > now)
+      .sort((a, b) => a.start - b.start)
+      .map(({ start, available }) => ({
+        id: start.toISOString(),
+        start,
+        end: new Date(start.getTime() + duration),
+        day: zonedDay(start, timeZone),
+        available,
+      }));
+  };
+
+  const icsDate = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const icsText = (value) => String(value).replace(/[\\,;]/g, "\\$&").replace(/\r?\n/g, "\\n");
+
+  // RFC 5545: lines longer than 75 octets continue on the next line after a space
+  const icsFold = (line) => {
+    let out = "";
+    let size = 0;
+    for (const ch of line) {
+      const octets = encodeURIComponent(ch).replace(/%../g, "x").length;
+      if (size + octets > 75) {
+        out += "\r\n ";
+        size = 1;
       }
-    };
-    root.addEventListener("keydown", handler);
-    return () => root.removeEventListener("keydown", handler);
+      out += ch;
+      size += octets;
+    }
+    return out;
   };
 
-  let removeFocusTrap = null;
+  const buildInvitation = ({ start, end }, { title, text, location }) =>
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Meblove//Pomiar//PL",
+      "METHOD:PUBLISH",
+      "BEGIN:VEVENT",
+      `UID:${icsDate(start)}-pomiar@meblove.com.pl`,
+      `DTSTAMP:${icsDate(new Date())}`,
+      `DTSTART:${icsDate(start)}`,
+      `DTEND:${icsDate(end)}`,
+      `SUMMARY:${icsText(title)}`,
+      `DESCRIPTION:${icsText(text)}`,
+      ...(location ? [`LOCATION:${icsText(location)}`] : []),
+      "STATUS:TENTATIVE",
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ]
+      .map(icsFold)
+      .join("\r\n") + "\r\n";
+
+  const createBooking = (form) => {
+    const root = form ? $("[data-booking]", form) : null;
+    if (!root) return null;
+
+    // sample dates would offer visits nobody has planned (or that are long gone)
+    const src = String(CONFIG.slotsEndpoint || "").trim();
+    if (!src) {
+      (root.closest("[data-step]") || root).remove();
+      return null;
+    }
 
-  const openModal = (servicePrefill = "") => {
-    if (!modal || !modalPanel) return;
+    const input = $("[data-booking-input]", root);
+    const weekEl = $("[data-booking-week]", root);
+    const rangeEl = $("[data-booking-range]", root);
+    const statusEl = $("[data-booking-status]", root);
+    const prevBtn = $("[data-booking-prev]", root);
+    const nextBtn = $("[data-booking-next]", root);
+    const chosenEl = $("[data-booking-chosen]", root);
+    const whenEl = $("[data-booking-when]", root);
+    const icsLink = $("[data-booking-ics]", root);
+
+    let timeZone = BOOKING_TIME_ZONE;
+    let slots = null; // null until the first successful load
+    let week = null; // Monday of the shown week
+    let loading = null;
+    let failed = false;
+    let noticeKey = "";
+    let icsUrl = "";
+
+    const formatDay = (date, options) => new Intl.DateTimeFormat(lang, { timeZone: "UTC", ...options }).format(date);
+    const formatTime = (slot) =>
+      new Intl.DateTimeFormat(lang, { timeZone, hour: "2-digit", minute: "2-digit" }).format(slot.start);
+    const describe = (slot) =>
+      t("booking.slot", {
+        date: formatDay(new Date(`${slot.day}T00:00:00Z`), { weekday: "long", day: "numeric", month: "long" }),
+        time: formatTime(slot),
+      });
 
-    lastActiveEl = document.activeElement;
+    const findSlot = (id) => (id && slots ? slots.find((slot) => slot.id === id && slot.available) : null) || null;
 
-    modal.classList.add("is-open");
-    modal.setAttribute("aria-hidden", "false");
-    lockBodyScroll(true);
+    const renderStatus = () => {
+      let key = "";
+      if (failed) key = "booking.error";
+      else if (!slots) key = "booking.loading";
+      else if (noticeKey) key = noticeKey;
+      else if (!$("[data-slot]:not(:disabled)", weekEl)) key = "booking.empty";
+      setNote(statusEl, key ? t(key) : "", failed ? "error" : "neutral");
+    };
 
-    // prefill service if provided
-    if (quoteServiceSelect && servicePrefill) {
-      // try to match option by includes
-      const options = Array.from(quoteServiceSelect.options);
-      const found = options.find((o) => o.textContent.trim().toLowerCase().includes(servicePrefill.trim().toLowerCase()));
-      if (found) quoteServiceSelect.value = found.value;
-      else quoteServiceSelect.value = servicePrefill;
-    }
+    const renderWeek = () => {
+      weekEl.textContent = "";
+      rangeEl.textContent = "";
+      prevBtn.disabled = nextBtn.disabled = !week;
+      if (!week) {
+        renderStatus();
+        return;
+      }
 
-    // focus first focusable element in modal
-    const focusable = getFocusable(modalPanel);
-    (focusable[0] || modalPanel).focus?.();
+      const days = Array.from({ length: 7 }, (_, i) => new Date(week.getTime() + i * DAY_MS));
+      days.forEach((date, i) => {
+        const key = date.toISOString().slice(0, 10);
+        const daySlots = slots.filter((slot) => slot.day === key);
+        if (i > 4 && !daySlots.length) return; // weekends only when there are visits
+
+        const col = document.createElement("div");
+        col.className = "booking__day";
+        col.setAttribute("role", "group");
+        col.setAttribute("aria-label", formatDay(date, { weekday: "long", day: "numeric", month: "long" }));
+
+        const head = document.createElement("span");
+        head.className = "booking__date";
+        head.setAttribute("aria-hidden", "true");
+        head.textContent = formatDay(date, { weekday: "short", day: "numeric", month: "numeric" });
+        col.append(head);
+
+        daySlots.forEach((slot) => {
+          const btn = document.createElement("button");
+          btn.type = "button";
+          btn.className = "booking__slot";
+          btn.dataset.slot = slot.id;
+          btn.textContent = formatTime(slot);
+          btn.disabled = !slot.available;
+          btn.setAttribute("aria-pressed", String(slot.id === input.value));
+          if (!slot.available) btn.setAttribute("aria-label", t("booking.slotTaken", { time: btn.textContent }));
+          col.append(btn);
+        });
 
-    // focus trap + esc
-    if (!removeFocusTrap) removeFocusTrap = trapFocus(modalPanel);
-    if (!removeModalEsc) removeModalEsc = closeOnEscape(() => closeModal());
+        if (!daySlots.length) {
+          const none = document.createElement("span");
+          none.className = "booking__none";
+          none.textContent = t("booking.none");
+          col.append(none);
+        }
+        weekEl.append(col);
+      });
 
-    // close on backdrop click
-    const backdrop = $("[data-close-modal]", modal);
-    if (backdrop) {
-      // already handled by attribute for both close buttons/backdrop in binding below
-    }
-  };
+      const fmt = { day: "numeric", month: "short" };
+      rangeEl.textContent = `${formatDay(days[0], fmt)} – ${formatDay(days[6], fmt)}`;
+      prevBtn.disabled = week <= weekOf(slots[0].day);
+      nextBtn.disabled = week >= weekOf(slots[slots.length - 1].day);
+      renderStatus();
+    };
 
-  const closeModal = () => {
-    if (!modal) return;
+    const syncChoice = () => {
+      const slot = findSlot(input.value);
+      chosenEl.hidden = !slot;
+      whenEl.textContent = slot ? describe(slot) : "";
+      // read by the wizard summary instead of the raw ISO value
+      if (slot) input.dataset.display = describe(slot);
+      else delete input.dataset.display;
+      $$("[data-slot]", weekEl).forEach((btn) => btn.setAttribute("aria-pressed", String(btn.dataset.slot === input.value)));
+    };
 
-    modal.classList.remove("is-open");
-    modal.setAttribute("aria-hidden", "true");
-    lockBodyScroll(false);
+    // change events keep drafts and the summary in step
+    const choose = (id) => {
+      input.value = id;
+      noticeKey = "";
+      input.dispatchEvent(new Event("change", { bubbles: true }));
+      renderStatus();
+    };
 
-    if (removeModalEsc) {
-      removeModalEsc();
-      removeModalEsc = null;
-    }
-    if (removeFocusTrap) {
-      removeFocusTrap();
-      removeFocusTrap = null;
-    }
+    // Swaps in fresh data; returns false when the picked slot is no longer free
+    const applySlots = (data) => {
+      timeZone = data.timezone || BOOKING_TIME_ZONE;
+      slots = normalizeSlots(data, timeZone);
+      failed = false;
+      root.classList.remove("is-unavailable");
+
+      const kept = !input.value || !!findSlot(input.value);
+      if (!kept) choose("");
+
+      const anchor = findSlot(input.value) || slots.find((slot) => slot.available) || slots[0];
+      const first = slots.length ? weekOf(slots[0].day) : null;
+      const last = slots.length ? weekOf(slots[slots.length - 1].day) : null;
+      if (!anchor) week = null;
+      else if (!week || week < first || week > last || input.value) week = weekOf(anchor.day);
+      renderWeek();
+      syncChoice();
+      return kept;
+    };
 
-    // return focus
-    if (lastActiveEl && typeof lastActiveEl.focus === "function") {
-      lastActiveEl.focus();
-    }
-    lastActiveEl = null;
-  };
+    // Fetched when the quote modal opens; a failed load is retried on the next open
+    const load = () => {
+      if (slots) return Promise.resolve();
+      if (!loading) {
+        renderStatus();
+        loading = fetchJSON(src)
+          .then((data) => {
+            if (!applySlots(data)) noticeKey = "booking.expired";
+            renderStatus();
+          })
+          .catch(() => {
+            failed = true;
+            root.classList.add("is-unavailable");
+            renderStatus();
+          })
+          .finally(() => {
+            loading = null;
+          });
+      }
+      return loading;
+    };
+
+    // Right before sending; an unreachable endpoint doesn't block (the visit is confirmed by phone anyway)
+    const confirm = async () => {
+      if (!input.value) return true;
+      try {
+        return applySlots(await fetchJSON(src, { cache: "no-store" }));
+      } catch (err) {
+        return true;
+      }
+    };
 
-  // Bind modal open triggers
-  $$("[data-open-modal='quote']").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const service = btn.dataset.service || "";
-      openModal(service);
+    const selected = () => {
+      const slot = findSlot(input.value);
+      return slot ? { start: slot.id, end: slot.end.toISOString(), timeZone } : null;
+    };
+
+    weekEl.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-slot]");
+      if (btn && !btn.disabled) choose(btn.dataset.slot);
     });
-  });
 
-  // Bind close triggers (backdrop and X and Cancel)
-  if (modal) {
-    $$("[data-close-modal]", modal).forEach((el) => el.addEventListener("click", closeModal));
-    // prevent panel clicks from closing (only backdrop has data-close-modal)
-    modal.addEventListener("click", (e) => {
-      // no-op; backdrop is explicit
+    prevBtn.addEventListener("click", () => {
+      week = new Date(week.getTime() - 7 * DAY_MS);
+      renderWeek();
     });
-  }
 
-  /* ----------------------------
-     Accordion behavior (FAQ)
-     - Optional: only one open at a time
-  ---------------------------- */
-  const enableAccordion = () => {
-    const acc = $("[data-accordion]");
-    if (!acc) return;
+    nextBtn.addEventListener("click", () => {
+      week = new Date(week.getTime() + 7 * DAY_MS);
+      renderWeek();
+    });
 
-    const items = $$("details", acc);
-    items.forEach((d) => {
-      d.addEventListener("toggle", () => {
-        if (!d.open) return;
-        items.forEach((other) => {
-          if (other !== d) other.removeAttribute("open");
-        });
+    $("[data-booking-clear]", root)?.addEventListener("click", () => {
+      choose("");
+      ($("[data-slot]:not(:disabled)", weekEl) || nextBtn).focus();
+    });
+
+    // Built on click so the location follows the address typed in the form
+    icsLink.addEventListener("click", (e) => {
+      const slot = findSlot(input.value);
+      if (!slot) {
+        e.preventDefault();
+        return;
+      }
+      const field = (name) => String(form.elements.namedItem(name)?.value || "").trim();
+      const ics = buildInvitation(slot, {
+        title: t("booking.eventTitle"),
+        text: t("booking.eventText"),
+        location: [field("postcode"), field("city")].filter(Boolean).join(" "),
       });
+      if (icsUrl) URL.revokeObjectURL(icsUrl);
+      icsUrl = URL.createObjectURL(new Blob([ics], { type: "text/calendar;charset=utf-8" }));
+      icsLink.href = icsUrl;
+    });
+
+    // a restored draft may point to another week
+    input.addEventListener("change", () => {
+      const slot = findSlot(input.value);
+      if (slot && weekOf(slot.day).getTime() !== week?.getTime()) {
+        week = weekOf(slot.day);
+        renderWeek();
+      }
+      syncChoice();
+    });
+
+    // hidden inputs keep their value on reset
+    form.addEventListener("reset", () => {
+      input.value = "";
+      noticeKey = "";
+      syncChoice();
+      renderStatus();
+    });
+
+    onLanguageChange(() => {
+      renderWeek();
+      syncChoice();
     });
+
+    return { load, confirm, selected };
   };
 
   /* ----------------------------
-     Forms: validation + mailto
+     Quote wizard (multi-step)
+     - steps: [data-step], service-specific ones via data-step-service
+     - conditional fields: data-show-if="field:val1,val2"
+     - inactive steps/fields are disabled, so they neither validate nor serialize
   ---------------------------- */
-  const buildMailto = ({ subject, body }) => {
-    const to = "biuro@meblove.com.pl";
-    const params = new URLSearchParams();
-    params.set("subject", subject);
-    params.set("body", body);
-    return `mailto:${to}?${params.toString()}`;
-  };
-
-  const validateContactForm = (form) => {
-    const note = $("#formNote");
-    setNote(note, "");
+  const createQuoteWizard = (form) => {
+    const steps = $$("[data-step]", form);
+    if (!steps.length) return null;
+
+    const prevBtn = $("[data-wizard-prev]", form);
+    const nextBtn = $("[data-wizard-next]", form);
+    const submitBtn = $("[type='submit']", form);
+    const countEl = $("[data-wizard-count]", form);
+    const barEl = $("[data-wizard-bar]", form);
+    const summaryEl = $("[data-wizard-summary]", form);
+    const service = form.elements.namedItem("service");
 
-    const name = form.elements.namedItem("name");
-    const phone = form.elements.namedItem("phone");
-    const email = form.elements.namedItem("email");
-    const topic = form.elements.namedItem("topic");
-    const message = form.elements.namedItem("message");
-    const consent = form.elements.namedItem("consent");
+    let index = 0;
 
-    let ok = true;
+    const activeSteps = () => {
+      const value = service ? service.value : "";
+      return steps.filter((s) => !s.dataset.stepService || s.dataset.stepService === value);
+    };
 
-    // reset invalid styles
-    [name, phone, email, topic, message].forEach((el) => markInvalid(el, false));
+    const syncConditionalFields = () => {
+      $$("[data-show-if]", form).forEach((field) => {
+        const [name, values = ""] = field.dataset.showIf.split(":");
+        const current = form.elements.namedItem(name);
+        const show = !!current && values.split(",").includes(current.value);
+        field.hidden = !show;
+        $$("input, select, textarea", field).forEach((el) => {
+          el.disabled = !show;
+        });
+      });
+    };
 
-    if (!name || String(name.value).trim().length < 2) {
-      markInvalid(name, true);
-      ok = false;
-    }
+    const render = () => {
+      const list = activeSteps();
+      index = clamp(index, 0, list.length - 1);
+      const current = list[index];
+      const last = index === list.length - 1;
 
-    if (!email || !isEmailValid(email.value)) {
-      markInvalid(email, true);
-      ok = false;
-    }
+      steps.forEach((step) => {
+        step.disabled = !list.includes(step);
+        step.hidden = step !== current;
+      });
 
-    if (!topic || !String(topic.value || "").trim()) {
-      markInvalid(topic, true);
-      ok = false;
-    }
+      if (prevBtn) prevBtn.hidden = index === 0;
+      if (nextBtn) nextBtn.hidden = last;
+      if (submitBtn) submitBtn.hidden = !last;
+      if (countEl) countEl.textContent = t("wizard.step", { n: index + 1, total: list.length });
+      if (barEl) barEl.style.width = `${((index + 1) / list.length) * 100}%`;
+      if (last) renderSummary();
+    };
 
-    if (!message || String(message.value).trim().length < 10) {
-      markInvalid(message, true);
-      ok = false;
-    }
+    const focusStep = () => {
+      const current = activeSteps()[index];
+      const focusable = current ? getFocusable(current) : [];
+      (focusable[0] || current)?.focus?.();
+    };
 
-    const consentOk = consent && consent.checked;
-    if (!consentOk) ok = false;
+    const goTo = (i, { focus = true } = {}) => {
+      index = i;
+      render();
+      if (focus) focusStep();
+    };
 
-    if (!ok) {
-      setNote(note, "Uzupełnij wymagane pola i zaznacz zgodę na kontakt.", "error");
-    }
+    const next = () => {
+      const current = activeSteps()[index];
+      if (!validateForm(form, { scope: current, note: $("#quoteNote"), message: t("form.invalidStep") })) return;
+      goTo(index + 1);
+      // drop-off = the last step reached before quote_abandon
+      const list = activeSteps();
+      trackEvent("quote_step", { step: list[index].dataset.step, n: index + 1, total: list.length });
+    };
 
-    return ok;
-  };
+    const prev = () => {
+      setNote($("#quoteNote"), "");
+      goTo(index - 1);
+    };
 
-  const validateQuoteForm = (form) => {
-    const note = $("#quoteNote");
-    setNote(note, "");
+    // After a failed full validation: jump back to the first step holding an invalid field
+    const showFirstInvalid = () => {
+      const invalid = $("[aria-invalid='true']", form);
+      const list = activeSteps();
+      const i = invalid ? list.findIndex((s) => s.contains(invalid)) : -1;
+      if (i === -1) return;
+      goTo(i, { focus: false });
+      invalid.focus();
+    };
 
-    const service = form.elements.namedItem("service");
-    const city = form.elements.namedItem("city");
-    const name = form.elements.namedItem("name");
-    const email = form.elements.namedItem("email");
-    const details = form.elements.namedItem("details");
-    const consent = form.elements.namedItem("consent");
+    // fields of the service-specific and budget steps: { name, label, value, text };
+    // label and text are what the visitor sees (translated), name and value stay stable
+    const getSummary = () => {
+      const fields = [];
+      activeSteps()
+        .filter((step) => step.hasAttribute("data-summary"))
+        .forEach((step) => {
+          $$("input, select, textarea", step).forEach((el) => {
+            const value = String(el.value || "").trim();
+            if (el.matches(":disabled") || !value) return;
+            const label = $(".field__label", el.closest(".field"))?.textContent.trim() || el.name;
+            const text = el.tagName === "SELECT" ? optionText(el) : el.dataset.display || value;
+            fields.push({ name: el.name, label, value, text: el.dataset.unit ? `${text} ${el.dataset.unit}` : text });
+          });
+        });
+      return fields;
+    };
 
-    let ok = true;
-    [service, city, name, email, details].forEach((el) => markInvalid(el, false));
+    const renderSummary = () => {
+      if (!summaryEl) return;
+      const serviceLabel = $(".field__label", service?.closest(".field"))?.textContent.trim() || "";
+      const pairs = [
+        [serviceLabel, (service?.value && optionText(service)) || "-"],
+        ...getSummary().map(({ label, text }) => [label, text]),
+      ];
+      summaryEl.textContent = "";
+      pairs.forEach(([label, value]) => {
+        const dt = document.createElement("dt");
+        const dd = document.createElement("dd");
+        dt.textContent = label;
+        dd.textContent = value;
+        summaryEl.append(dt, dd);
+      });
+    };
 
-    if (!service || !String(service.value || "").trim()) {
-      markInvalid(service, true);
-      ok = false;
-    }
+    const reset = () => {
+      syncConditionalFields();
+      goTo(0, { focus: false });
+    };
 
-    if (!name || String(name.value).trim().length < 2) {
-      markInvalid(name, true);
-      ok = false;
-    }
+    if (prevBtn) prevBtn.addEventListener("click", prev);
+    if (nextBtn) nextBtn.addEventListener("click", next);
 
-    if (!email || !isEmailValid(email.value)) {
-      markInvalid(email, true);
-      ok = false;
-    }
+    form.addEventListener("change", (e) => {
+      if (e.target === service) render();
+      if ($$("[data-show-if]", form).some((f) => f.dataset.showIf.startsWith(`${e.target.name}:`))) {
+        syncConditionalFields();
+      }
+    });
 
-    if (!details || String(details.value).trim().length < 10) {
-      markInvalid(details, true);
-      ok = false;
-    }
+    // values are restored only after the reset event, so re-sync on the next tick
+    form.addEventListener("reset", () => setTimeout(reset, 0));
 
-    const consentOk = consent && consent.checked;
-    if (!consentOk) ok = false;
+    reset();
 
-    if (!ok) {
-      setNote(note, "Uzupełnij wymagane pola i zaznacz zgodę na kontakt.", "error");
-    }
+    onLanguageChange(render);
 
-    return ok;
+    return {
+      next,
+      reset,
+      render,
+      getSummary,
+      showFirstInvalid,
+      show: (name) => {
+        const i = activeSteps().findIndex((s) => s.dataset.step === name);
+        if (i !== -1) goTo(i);
+      },
+      isLast: () => index === activeSteps().length - 1,
+      step: () => activeSteps()[index]?.dataset.step,
+    };
   };
 
-  const attachFormUX = (form) => {
-    if (!form) return;
-
-    // Remove invalid class as user edits
-    const inputs = $$("input, select, textarea", form);
-    inputs.forEach((el) => {
-      el.addEventListener("input", () => el.classList.remove("is-invalid"));
-      el.addEventListener("change", () => el.classList.remove("is-invalid"));
-    });
-  };
+  // booking first: without a slots source it takes the "visit" step out before the wizard collects steps
+  const quoteBooking = createBooking(quoteForm);
+  const quoteWizard = createQuoteWizard(quoteForm);
 
   // Contact form
   const contactForm = $("#contactForm");
   if (contactForm) {
-    attachFormUX(contactForm);
+    attachValidation(contactForm, contactSchema);
+    attachAttachments(contactForm);
+    attachSpamGuard(contactForm);
+    const contactDraft = attachDraft(contactForm, { exclude: ["consent", HONEYPOT_NAME] });
 
-    contactForm.addEventListener("submit", (e) => {
+    contactForm.addEventListener("submit", async (e) => {
       e.preventDefault();
+      if (isFormBusy(contactForm)) return;
 
       const note = $("#formNote");
-      if (!validateContactForm(contactForm)) return;
+      if (!validateForm(contactForm, { note })) return;
 
       const data = serializeForm(contactForm);
-      const consent = contactForm.elements.namedItem("consent")?.checked ? "TAK" : "NIE";
+      const consent = contactForm.elements.namedItem("consent")?.checked ? t("mail.yes") : t("mail.no");
+      const topic = fieldText(contactForm, "topic");
 
-      const subject = `Meblove — zapytanie: ${data.topic || "Kontakt"} (${data.name || ""})`.trim();
+      const subject = t("mail.contact.subject", { topic: topic || t("mail.contact.topic"), name: data.name || "" }).trim();
 
       const bodyLines = [
-        "Dzień dobry,",
+        t("mail.greeting"),
         "",
-        "Chciałbym/chciałabym zapytać o:",
-        `- Temat: ${data.topic || "-"}`,
-        `- Imię: ${data.name || "-"}`,
-        `- Telefon: ${data.phone || "-"}`,
-        `- E-mail: ${data.email || "-"}`,
-        `- Zgoda na kontakt: ${consent}`,
+        t("mail.contact.intro"),
+        `- ${t("form.topic")}: ${topic || "-"}`,
+        `- ${t("form.name")}: ${data.name || "-"}`,
+        `- ${t("form.phone")}: ${data.phone || "-"}`,
+        `- ${t("form.email")}: ${data.email || "-"}`,
+        `- ${t("mail.consent")}: ${consent}`,
         "",
-        "Wiadomość:",
+        t("mail.contact.message"),
         data.message || "-",
+        ...attachmentLines(contactForm),
         "",
         "—",
-        "Wysłano ze strony meblove (formularz kontaktowy).",
+        t("mail.contact.footer"),
       ];
 
-      const href = buildMailto({ subject, body: bodyLines.join("\n") });
+      const body = bodyLines.join("\n");
+      const payload = buildPayload(contactForm, { source: "contact", subject, data, body });
 
-      setNote(note, "Otwieram Twoją pocztę z przygotowaną wiadomością…", "ok");
-
-      // Open mail client
-      window.location.href = href;
+      const via = await submitForm(contactForm, { note, payload, mail: { subject, body } });
+      if (via === "blocked") return;
+      if (via === "http" || via === "queued") {
+        contactDraft?.clear();
+        contactForm.reset();
+        return;
+      }
 
-      // Optional: reset form after a short delay
+      // Mail client opened: reset form after a short delay, keeping the draft in case it never did
       setTimeout(() => {
         contactForm.reset();
-        setNote(note, "Jeśli mail się nie otworzył, skopiuj treść i wyślij na biuro@meblove.com.pl.", "neutral");
+        setNote(note, t("form.mailFallback"), "neutral");
+        contactDraft?.offer();
       }, 800);
     });
   }
 
   // Quote form (modal)
   if (quoteForm) {
-    attachFormUX(quoteForm);
+    attachValidation(quoteForm, quoteSchema);
+    attachAttachments(quoteForm);
+    attachSpamGuard(quoteForm);
+    const quoteDraft = attachDraft(quoteForm, { exclude: ["consent", HONEYPOT_NAME] });
 
-    quoteForm.addEventListener("submit", (e) => {
+    quoteForm.addEventListener("submit", async (e) => {
       e.preventDefault();
+      if (isFormBusy(quoteForm)) return;
 
       const note = $("#quoteNote");
-      if (!validateQuoteForm(quoteForm)) return;
+
+      // Enter on an intermediate step moves forward instead of sending
+      if (quoteWizard && !quoteWizard.isLast()) {
+        quoteWizard.next();
+        return;
+      }
+
+      if (!validateForm(quoteForm, { note })) {
+        quoteWizard?.showFirstInvalid();
+        return;
+      }
+
+      // someone else may have booked the picked visit since the slots were loaded
+      if (quoteBooking) {
+        setFormBusy(quoteForm, true);
+        const free = await quoteBooking.confirm();
+        setFormBusy(quoteForm, false);
+        if (!free) {
+          setNote(note, t("booking.taken"), "error");
+          quoteWizard?.show("visit");
+          return;
+        }
+      }
 
       const data = serializeForm(quoteForm);
-      const consent = quoteForm.elements.namedItem("consent")?.checked ? "TAK" : "NIE";
+      const consent = quoteForm.elements.namedItem("consent")?.checked ? t("mail.yes") : t("mail.no");
+      const serviceText = fieldText(quoteForm, "service");
 
-      const subject = `Meblove — bezpłatna wycena: ${data.service || "Zapytanie"} (${data.name || ""})`.trim();
+      const subject = t("mail.quote.subject", { service: serviceText || t("mail.quote.service"), name: data.name || "" }).trim();
+      const summary = quoteWizard ? quoteWizard.getSummary() : [];
 
       const bodyLines = [
-        "Dzień dobry,",
+        t("mail.greeting"),
         "",
-        "Proszę o bezpłatną wycenę:",
-        `- Usługa: ${data.service || "-"}`,
-        `- Miasto: ${data.city || "-"}`,
-        `- Imię: ${data.name || "-"}`,
-        `- E-mail: ${data.email || "-"}`,
-        `- Zgoda na kontakt: ${consent}`,
+        t("mail.quote.intro"),
+        `- ${t("mail.quote.serviceLine")}: ${serviceText || "-"}`,
+        `- ${t("form.city")}: ${data.city || "-"}`,
+        `- ${t("form.postcode")}: ${data.postcode || "-"}`,
+        `- ${t("form.name")}: ${data.name || "-"}`,
+        `- ${t("form.email")}: ${data.email || "-"}`,
+        `- ${t("mail.consent")}: ${consent}`,
         "",
-        "Opis / wymiary / inspiracje:",
+        ...(summary.length ? [t("mail.quote.details"), ...summary.map(({ label, text }) => `- ${label}: ${text}`), ""] : []),
+        t("mail.quote.description"),
         data.details || "-",
+        ...attachmentLines(quoteForm),
         "",
         "—",
-        "Wysłano ze strony meblove (szybka wycena).",
+        t("mail.quote.footer"),
       ];
 
-      const href = buildMailto({ subject, body: bodyLines.join("\n") });
+      const body = bodyLines.join("\n");
+      const payload = buildPayload(quoteForm, { source: "quote", subject, data, body });
+      // keyed by field name: labels change with the page language
+      payload.summary = Object.fromEntries(summary.map(({ name, value }) => [name, value]));
+      payload.visit = quoteBooking ? quoteBooking.selected() : null;
 
-      setNote(note, "Otwieram Twoją pocztę z przygotowaną wiadomością…", "ok");
-      window.location.href = href;
+      const via = await submitForm(quoteForm, { note, payload, mail: { subject, body } });
+      if (via === "blocked") return;
+      if (via !== "mailto") quoteDraft?.clear();
 
       setTimeout(() => {
         quoteForm.reset();
-        setNote(note, "Jeśli mail się nie otworzył, wyślij ręcznie na biuro@meblove.com.pl.", "neutral");
-        closeModal();
-      }, 900);
+        if (via === "mailto") {
+          setNote(note, t("form.mailFallbackQuote"), "neutral");
+          quoteDraft?.offer();
+        }
+        closeModal({ reason: "sent" });
+      }, { http: 1600, queued: 3200 }[via] || 900);
     });
   }
 
+  /* ----------------------------
+     Price estimator
+     - pricing table: MEBLOVE_CONFIG.pricingEndpoint (JSON, [min, max] pairs); without it the
+       section, its footer link and the quote modal shortcut stay hidden.
+       data/pricing.json is sample data ("sample": true) for demos, never a default
+     - "Dodaj do zapytania" pushes the configuration into the quote form
+  ---------------------------- */
+  const formatPriceRange = ([low, high], currency = "zł") => {
+    const fmt = new Intl.NumberFormat(lang);
+    return `${fmt.format(low)} – ${fmt.format(high)} ${currency}`;
+  };
+
+  const formatMetres = (n) => t("estimator.metres", { value: new Intl.NumberFormat(lang).format(n) });
+
+  // perMetre entries scale with running metres, fixed ones are added once
+  const computeEstimate = (pricing, { type, metres, front, worktop, addons }) => {
+    const spec = pricing.types[type];
+    const parts = [
+      spec.base,
+      spec.fronts && spec.fronts[front],
+      spec.worktops && spec.worktops[worktop],
+      ...addons.map((key) => spec.addons && spec.addons[key]),
+    ].filter(Boolean);
+
+    const sum = (i) =>
+      parts.reduce((acc, p) => acc + (p.perMetre ? p.perMetre[i] * metres : 0) + (p.fixed ? p.fixed[i] : 0), 0);
+
+    const step = pricing.round || 1;
+    return [Math.floor(sum(0) / step) * step, Math.ceil(sum(1) / step) * step];
+  };
+
+  const enableEstimator = async () => {
+    const form = $("#estimatorForm");
+    if (!form) return;
+
+    // no made-up prices: visitors would read them as our offer
+    const src = String(CONFIG.pricingEndpoint || "").trim();
+    if (!src) {
+      (form.closest("section") || form).hidden = true;
+      $$("a[href='#estimator']").forEach((link) => (link.hidden = true));
+      $$("[data-open-estimator]").forEach((btn) => ((btn.closest(".wizard__aside") || btn).hidden = true));
+      return;
+    }
+
+    const typesEl = $("[data-estimator-types]", form);
+    const addonsEl = $("[data-estimator-addons]", form);
+    const priceEl = $("[data-estimator-price]", form);
+    const noteEl = $("[data-estimator-note]", form);
+    const metresOut = $("[data-estimator-metres-out]", form);
+    const range = form.elements.namedItem("metres");
+    const frontSelect = form.elements.namedItem("front");
+    const worktopSelect = form.elements.namedItem("worktop");
+    const worktopField = $("[data-estimator-field='worktops']", form);
+
+    let pricing = null;
+
+    const fillOptions = (select, entries) => {
+      select.textContent = "";
+      Object.entries(entries || {}).forEach(([key, entry]) => {
+        const opt = document.createElement("option");
+        opt.value = key;
+        opt.textContent = entry.label;
+        select.append(opt);
+      });
+    };
+
+    const renderAddons = (entries) => {
+      addonsEl.textContent = "";
+      Object.entries(entries || {}).forEach(([key, entry]) => {
+        const label = document.createElement("label");
+        label.className = "estimator__chip";
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.name = "addons";
+        input.value = key;
+        const text = document.createElement("span");
+        text.textContent = entry.label;
+        label.append(input, text);
+        addonsEl.append(label);
+      });
+    };
+
+    const currentType = () => {
+      const checked = $("input[name='type']:checked", form);
+      return checked ? checked.value : Object.keys(pricing.types)[0];
+    };
+
+    const applyType = (key) => {
+      const spec = pricing.types[key];
+      const radio = $(`input[name='type'][value='${key}']`, form);
+      if (radio) radio.checked = true;
+
+      range.min = spec.metres.min;
+      range.max = spec.metres.max;
+      range.step = spec.metres.step || 0.5;
+      range.value = spec.metres.default;
+
+      fillOptions(frontSelect, spec.fronts);
+      fillOptions(worktopSelect, spec.worktops);
+      worktopField.hidden = !spec.worktops;
+      worktopSelect.disabled = !spec.worktops;
+      renderAddons(spec.addons);
+    };
+
+    const readConfig = () => ({
+      type: currentType(),
+      metres: Number(range.value),
+      front: frontSelect.value,
+      worktop: worktopSelect.disabled ? "" : worktopSelect.value,
+      addons: $$("input[name='addons']:checked", form).map((el) => el.value),
+    });
+
+    const update = () => {
+      const config = readConfig();
+      const price = computeEstimate(pricing, config);
+      metresOut.textContent = formatMetres(config.metres);
+      priceEl.textContent = formatPriceRange(price, pricing.currency);
+      return { config, price };
+    };
+
+    const describe = ({ config, price }) => {
+      const spec = pricing.types[config.type];
+      const addons = config.addons.map((key) => spec.addons[key].label);
+      return [
+        t("estimator.marker"),
+        `- ${t("estimator.type")}: ${spec.label}`,
+        `- ${t("estimator.lengthLine")}: ${formatMetres(config.metres)}`,
+        `- ${t("estimator.fronts")}: ${spec.fronts[config.front].label}`,
+        ...(config.worktop ? [`- ${t("estimator.worktop")}: ${spec.worktops[config.worktop].label}`] : []),
+        `- ${t("estimator.addons")}: ${addons.length ? addons.join(", ") : t("estimator.none")}`,
+        `- ${t("estimator.estimate")}: ${formatPriceRange(price, pricing.currency)}`,
+      ].join("\n");
+    };
+
+    // Entry point from the quote modal
+    $$("[data-open-estimator]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const service = quoteServiceSelect ? quoteServiceSelect.value : "";
+        closeModal({ reason: "estimator" });
+
+        if (pricing) {
+          const match = Object.keys(pricing.types).find((key) => pricing.types[key].service === service);
+          if (match && match !== currentType()) {
+            applyType(match);
+            update();
+          }
+        }
+
+        scrollToEl(form);
+        const first = $("input[name='type']:checked", form) || range;
+        first.focus({ preventScroll: true });
+      });
+    });
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (!pricing) {
+        openModal();
+        return;
+      }
+
+      const estimate = update();
+      openModal(pricing.types[estimate.config.type].service);
+
+      appendQuoteDetails(describe(estimate));
+    });
+
+    const showUnavailable = () => {
+      priceEl.textContent = t("estimator.unavailable");
+      noteEl.textContent = t("estimator.unavailableNote");
+    };
+
+    try {
+      pricing = await fetchJSON(src);
+    } catch (err) {
+      form.classList.add("is-unavailable");
+      showUnavailable();
+      onLanguageChange(showUnavailable);
+      return;
+    }
+
+    typesEl.textContent = "";
+    Object.entries(pricing.types).forEach(([key, spec]) => {
+      const label = document.createElement("label");
+      label.className = "estimator__type";
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = "type";
+      input.value = key;
+      const text = document.createElement("span");
+      text.textContent = spec.label;
+      label.append(input, text);
+      typesEl.append(label);
+    });
+
+    noteEl.textContent = pricing.note || "";
+    applyType(Object.keys(pricing.types)[0]);
+    update();
+
+    form.addEventListener("change", (e) => {
+      if (e.target.name === "type") applyType(e.target.value);
+      update();
+    });
+    form.addEventListener("input", update);
+    onLanguageChange(update);
+  };
+
   /* ----------------------------
      Scroll to top
   ---------------------------- */
@@ -739,12 +3959,20 @@
      Init
   ---------------------------- */
   const init = () => {
+    enableI18n();
+    enableDialogs();
+    enableStickyHeader();
+    enableConsent();
+    enableAnalytics();
+    enableOffline();
     enableSmoothAnchors();
+    enableScrollSpy();
+    enableSeo();
     enableReveals();
-    enableCounters();
-    enableProjectFilter();
-    enableCarousel();
-    enableAccordion();
+    enableComponents();
+    enableProjects();
+    enableReviews();
+    enableEstimator();
     enableScrollTop();
     enableHeroTilt();
     enableServicePrefillButtons();
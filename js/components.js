@@ -0,0 +1,130 @@
+/* =========================================
+   MEBLOVE — Component registry
+   File: js/components.js (imported by app.js and js/dialogs.js)
+   - defineComponent(name, setup): setup(root, scope) wires one element and may return an API
+   - markup opts in with data-component="name" (space-separated for several on one element)
+   - any number of instances; each gets destroy(), which also removes everything
+     registered through its scope (listen, escape, outside, cleanup)
+   - startComponents(): mounts the page, then mounts inserted and destroys removed markup (MutationObserver)
+   ========================================= */
+import { $$, closeOnEscape, onOutsideClick } from "./dom.js";
+
+const componentTypes = new Map(); // name -> setup
+const componentInstances = new WeakMap(); // element -> Map(name -> instance)
+let componentsEnabled = false;
+
+// cleanup() returns a remover, so listeners that come and go (ESC while open) can be dropped early
+const createScope = () => {
+  const teardown = [];
+  const cleanup = (fn) => {
+    const run = () => {
+      const i = teardown.indexOf(run);
+      if (i === -1) return;
+      teardown.splice(i, 1);
+      fn();
+    };
+    teardown.push(run);
+    return run;
+  };
+
+  const scope = {
+    cleanup,
+    listen: (target, type, handler, options) => {
+      target.addEventListener(type, handler, options);
+      return cleanup(() => target.removeEventListener(type, handler, options));
+    },
+    escape: (onEscape) => cleanup(closeOnEscape(onEscape)),
+    outside: (el, onOutside) => cleanup(onOutsideClick(el, onOutside)),
+  };
+  return { scope, dispose: () => teardown.slice().reverse().forEach((run) => run()) };
+};
+
+const componentNames = (el) => (el.dataset.component || "").split(/\s+/).filter(Boolean);
+
+export const getComponent = (el, name) => (el && componentInstances.get(el)?.get(name)) || null;
+
+export const mountComponent = (el, name) => {
+  const setup = componentTypes.get(name);
+  if (!setup || !el.isConnected) return null;
+  const existing = getComponent(el, name);
+  if (existing) return existing;
+
+  const { scope, dispose } = createScope();
+  let api;
+  try {
+    api = setup(el, scope) || {};
+  } catch (err) {
+    dispose();
+    throw err;
+  }
+
+  const byName = componentInstances.get(el) || new Map();
+  const instance = {
+    ...api,
+    destroy: () => {
+      if (byName.get(name) !== instance) return;
+      byName.delete(name);
+      api.destroy?.();
+      dispose();
+    },
+  };
+  byName.set(name, instance);
+  componentInstances.set(el, byName);
+  // mounted from code (e.g. a dialog on first open): destroyComponents() and the observer look for the attribute
+  if (!componentNames(el).includes(name)) el.dataset.component = [...componentNames(el), name].join(" ");
+  return instance;
+};
+
+// root itself plus everything inside it
+const componentElements = (root) => [
+  ...(root.matches && root.matches("[data-component]") ? [root] : []),
+  ...$$("[data-component]", root),
+];
+
+// one broken element must not keep the rest of the page (or of a late insert) unmounted
+export const mountComponents = (root = document) => {
+  componentElements(root).forEach((el) =>
+    componentNames(el).forEach((name) => {
+      try {
+        mountComponent(el, name);
+      } catch (err) {
+        console.error(`[components] "${name}" failed to mount`, el, err);
+      }
+    })
+  );
+};
+
+export const destroyComponents = (root = document) => {
+  componentElements(root).forEach((el) => {
+    componentInstances.get(el)?.forEach((instance) => instance.destroy());
+  });
+};
+
+export const defineComponent = (name, setup) => {
+  componentTypes.set(name, setup);
+  if (componentsEnabled) mountComponents(); // defined after start-up: mount what is already there
+};
+
+// Returns a stop function (observer off, later definitions no longer mount on their own)
+export const startComponents = (root = document.body) => {
+  componentsEnabled = true;
+  mountComponents();
+
+  // moved nodes show up as removed + added: only destroy what really left the page
+  const observer = new MutationObserver((records) => {
+    records.forEach((record) => {
+      record.removedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) destroyComponents(node);
+      });
+      record.addedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) mountComponents(node);
+      });
+    });
+  });
+  observer.observe(root, { childList: true, subtree: true });
+
+  return () => {
+    componentsEnabled = false;
+    observer.disconnect();
+  };
+};
@@ -0,0 +1,177 @@
+/* =========================================
+   MEBLOVE — Dialogs
+   File: js/dialogs.js (imported by app.js; quote modal, lightbox and consent wire their own content)
+   - any .modal[role="dialog"]; [data-open-modal="<name>"] opens the one with
+     data-dialog="<name>" (or that id), [data-close-modal] inside it closes it (enableDialogs)
+   - stackable: ESC closes the top dialog only, Tab stays inside it
+   - focus goes back to what was focused when each dialog opened
+   - body scroll lock is reference-counted; everything outside the top dialog is inert
+   - DIALOG_OPEN_EVENT / DIALOG_CLOSE_EVENT bubble from the dialog element,
+     detail: { name, trigger, reason (close only), ...detail passed to openDialog }
+   - each dialog is a "dialog" component (mounted on first open if the markup does not say so):
+     its ESC listener lives in the component scope, destroy() closes it
+   ========================================= */
+import { $, getFocusable, trapFocus } from "./dom.js";
+import { defineComponent, mountComponent } from "./components.js";
+
+export const DIALOG_OPEN_EVENT = "meblove:dialogopen";
+export const DIALOG_CLOSE_EVENT = "meblove:dialogclose";
+const DIALOG_Z = 90; // .modal z-index; stacked dialogs go above it
+
+const dialogStack = []; // { el, name, trigger, returnTo, removeTrap }
+const inertByDialogs = new Set(); // only what we made inert, so other inert content is left alone
+
+// reference-counted: every lock needs its own unlock (stacked dialogs)
+let scrollLocks = 0;
+const lockBodyScroll = (lock) => {
+  const body = document.body;
+  scrollLocks = Math.max(0, scrollLocks + (lock ? 1 : -1));
+  if (lock && scrollLocks === 1) {
+    const scrollBarWidth = window.innerWidth - document.documentElement.clientWidth;
+    body.dataset.scrollLock = "1";
+    body.style.overflow = "hidden";
+    body.style.paddingRight = scrollBarWidth > 0 ? `${scrollBarWidth}px` : "";
+  } else if (!lock && !scrollLocks) {
+    delete body.dataset.scrollLock;
+    body.style.overflow = "";
+    body.style.paddingRight = "";
+  }
+};
+
+const resolveDialog = (target) =>
+  typeof target === "string" ? $(`[data-dialog="${target}"]`) || document.getElementById(target) : target;
+
+const dialogPanel = (el) => $(".modal__panel", el) || el;
+
+const topDialog = () => dialogStack[dialogStack.length - 1] || null;
+
+export const isDialogOpen = (target) => dialogStack.some((entry) => entry.el === resolveDialog(target));
+
+// siblings of the top dialog and of each of its ancestors up to <body>
+const syncInert = () => {
+  const top = topDialog();
+  const background = new Set();
+  for (let node = top && top.el; node && node !== document.body && node.parentElement; node = node.parentElement) {
+    Array.from(node.parentElement.children).forEach((sibling) => {
+      if (sibling !== node) background.add(sibling);
+    });
+  }
+
+  inertByDialogs.forEach((el) => {
+    if (background.has(el)) return;
+    el.removeAttribute("inert");
+    inertByDialogs.delete(el);
+  });
+  background.forEach((el) => {
+    if (el.hasAttribute("inert")) return;
+    el.setAttribute("inert", "");
+    inertByDialogs.add(el);
+  });
+
+  dialogStack.forEach((entry, i) => {
+    entry.el.style.zIndex = i ? String(DIALOG_Z + i) : "";
+  });
+};
+
+const emitDialogEvent = (type, entry, detail) => {
+  entry.el.dispatchEvent(
+    new CustomEvent(type, { bubbles: true, detail: { name: entry.name, trigger: entry.trigger, ...detail } })
+  );
+};
+
+// trigger: the element that asked for the dialog (buttons); detail: extra data for DIALOG_OPEN_EVENT
+export const openDialog = (target, { trigger = null, detail = {} } = {}) => {
+  const el = resolveDialog(target);
+  if (!el || isDialogOpen(el)) return false;
+  mountComponent(el, "dialog");
+
+  const panel = dialogPanel(el);
+  const entry = {
+    el,
+    name: el.dataset.dialog || el.id,
+    trigger,
+    returnTo: document.activeElement,
+    removeTrap: trapFocus(panel),
+  };
+  dialogStack.push(entry);
+
+  el.classList.add("is-open");
+  el.setAttribute("aria-hidden", "false");
+  lockBodyScroll(true);
+  syncInert();
+
+  // listeners fill the dialog before focus moves into it
+  emitDialogEvent(DIALOG_OPEN_EVENT, entry, detail);
+
+  const focusable = getFocusable(panel);
+  (focusable[0] || panel).focus?.();
+  return true;
+};
+
+// reason: "dismiss" (close button, backdrop, ESC) or whatever the caller passes
+export const closeDialog = (target, { reason = "dismiss" } = {}) => {
+  const el = resolveDialog(target);
+  const i = dialogStack.findIndex((entry) => entry.el === el);
+  if (i === -1) return false;
+
+  const wasTop = i === dialogStack.length - 1;
+  const [entry] = dialogStack.splice(i, 1);
+
+  el.classList.remove("is-open");
+  el.setAttribute("aria-hidden", "true");
+  el.style.zIndex = "";
+  entry.removeTrap();
+  lockBodyScroll(false);
+  syncInert();
+
+  // a dialog under the top one closing must not pull focus out of the top one
+  const back = entry.returnTo;
+  if (wasTop && back && back.isConnected && !back.closest("[hidden], [inert]") && typeof back.focus === "function") {
+    back.focus();
+  }
+
+  emitDialogEvent(DIALOG_CLOSE_EVENT, entry, { reason });
+  return true;
+};
+
+const createDialog = (root, scope) => {
+  let removeEsc = null;
+
+  // ESC listeners run in the order the dialogs opened, so only the top one reacts
+  scope.listen(root, DIALOG_OPEN_EVENT, (e) => {
+    if (e.target !== root || removeEsc) return;
+    removeEsc = scope.escape(() => {
+      if (topDialog()?.el === root) closeDialog(root);
+    });
+  });
+  scope.listen(root, DIALOG_CLOSE_EVENT, (e) => {
+    if (e.target !== root || !removeEsc) return;
+    removeEsc();
+    removeEsc = null;
+  });
+
+  return {
+    open: (options) => openDialog(root, options),
+    close: (options) => closeDialog(root, options),
+    isOpen: () => isDialogOpen(root),
+    destroy: () => closeDialog(root, { reason: "destroy" }),
+  };
+};
+
+defineComponent("dialog", createDialog);
+
+// delegated, so markup added later works too; returns the remover
+export const enableDialogs = () => {
+  const handler = (e) => {
+    const opener = e.target.closest("[data-open-modal]");
+    if (opener) {
+      openDialog(opener.dataset.openModal, { trigger: opener });
+      return;
+    }
+    const closer = e.target.closest("[data-close-modal]");
+    const dialog = closer && closer.closest("[role='dialog']");
+    if (dialog) closeDialog(dialog);
+  };
+  document.addEventListener("click", handler);
+  return () => document.removeEventListener("click", handler);
+};
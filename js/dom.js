@@ -0,0 +1,86 @@
+/* =========================================
+   MEBLOVE — DOM helpers
+   File: js/dom.js (imported by app.js)
+   - $ / $$ query helpers
+   - decodeHash: location.hash without "#", "" when it is not valid percent-encoding
+   - closeOnEscape / onOutsideClick: document listeners, each returns its remover
+   - getFocusable / trapFocus: Tab cycles inside dialogs
+   - fillTemplate: clone a <template>, text into its [data-field] nodes
+   ========================================= */
+
+export const $ = (sel, root = document) => root.querySelector(sel);
+export const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
+
+// "#100%" or "#%E9" would make decodeURIComponent throw
+export const decodeHash = (hash = window.location.hash) => {
+  try {
+    return decodeURIComponent(hash.replace(/^#/, ""));
+  } catch (err) {
+    return "";
+  }
+};
+
+export const closeOnEscape = (onEscape) => {
+  const handler = (e) => {
+    if (e.key === "Escape") onEscape(e);
+  };
+  document.addEventListener("keydown", handler);
+  return () => document.removeEventListener("keydown", handler);
+};
+
+export const onOutsideClick = (rootEl, onOutside) => {
+  const handler = (e) => {
+    if (!rootEl.contains(e.target)) onOutside(e);
+  };
+  document.addEventListener("mousedown", handler);
+  document.addEventListener("touchstart", handler, { passive: true });
+  return () => {
+    document.removeEventListener("mousedown", handler);
+    document.removeEventListener("touchstart", handler);
+  };
+};
+
+export const getFocusable = (root) =>
+  $$(
+    [
+      'a[href]',
+      'button:not([disabled])',
+      'input:not([disabled])',
+      'select:not([disabled])',
+      'textarea:not([disabled])',
+      '[tabindex]:not([tabindex="-1"])',
+    ].join(","),
+    root
+  ).filter((el) => el.offsetParent !== null && el.getAttribute("tabindex") !== "-1");
+
+export const trapFocus = (root) => {
+  const handler = (e) => {
+    if (e.key !== "Tab") return;
+
+    const focusable = getFocusable(root);
+    if (!focusable.length) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+  root.addEventListener("keydown", handler);
+  return () => root.removeEventListener("keydown", handler);
+};
+
+// Clones the template's first element and sets the text of its [data-field="<name>"] nodes
+export const fillTemplate = (tpl, fields = {}) => {
+  const node = tpl.content.firstElementChild.cloneNode(true);
+  Object.entries(fields).forEach(([name, value]) => {
+    const el = $(`[data-field='${name}']`, node);
+    if (el) el.textContent = value == null ? "" : String(value);
+  });
+  return node;
+};
@@ -0,0 +1,161 @@
+/* =========================================
+   MEBLOVE — Form drafts
+   File: js/drafts.js (imported by app.js; the prompt markup is #draftTemplate)
+   - typed values saved to localStorage (debounced), one entry per form id
+   - "Przywrócić wcześniejszy szkic?" prompt when a saved draft exists;
+     nothing is saved until it is answered, so the stored draft survives the first keystroke
+   - drafts expire after DRAFT_TTL; the caller clears them after a confirmed (HTTP) submission
+   - file inputs and the names in `exclude` (consent, honeypot) are never stored
+   ========================================= */
+import { $, getFocusable, fillTemplate } from "./dom.js";
+import { lang, t, onLanguageChange } from "./i18n.js";
+
+export const DRAFT_PREFIX = "meblove:draft:";
+const DRAFT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DRAFT_DELAY = 500; // ms after the last keystroke
+
+const draftFields = (form, exclude) =>
+  Array.from(form.elements).filter((el) => el.name && el.type !== "file" && !exclude.includes(el.name));
+
+export const readDraft = (key) => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(key) || "null");
+    if (draft && draft.values && Date.now() - draft.savedAt < DRAFT_TTL) return draft;
+    localStorage.removeItem(key); // expired or malformed
+  } catch (err) {
+    // storage blocked or unreadable: behave as if nothing was saved
+  }
+  return null;
+};
+
+export const writeDraft = (key, draft) => {
+  try {
+    if (draft) localStorage.setItem(key, JSON.stringify(draft));
+    else localStorage.removeItem(key);
+  } catch (err) {
+    // storage blocked or full: drafts are best effort
+  }
+};
+
+export const attachDraft = (form, { exclude = ["consent"] } = {}) => {
+  if (!form || !form.id) return null;
+
+  const key = `${DRAFT_PREFIX}${form.id}`;
+  const tpl = $("#draftTemplate");
+  let timer = 0;
+  let prompt = null;
+
+  const snapshot = () => {
+    const values = {};
+    draftFields(form, exclude).forEach((el) => {
+      if (el.type === "checkbox") {
+        if (el.checked) values[el.name] = true;
+      } else if (el.type === "radio") {
+        if (el.checked) values[el.name] = el.value;
+      } else if (String(el.value).trim()) {
+        values[el.name] = el.value;
+      }
+    });
+    return values;
+  };
+
+  const save = () => {
+    clearTimeout(timer);
+    timer = 0;
+    // the stored draft is what the prompt offers: keep it until restore or discard
+    if (prompt) return;
+    const values = snapshot();
+    writeDraft(key, Object.keys(values).length ? { savedAt: Date.now(), values } : null);
+  };
+
+  const scheduleSave = () => {
+    clearTimeout(timer);
+    timer = setTimeout(save, DRAFT_DELAY);
+  };
+
+  const cancelSave = () => {
+    clearTimeout(timer);
+    timer = 0;
+  };
+
+  const hidePrompt = () => {
+    if (!prompt) return;
+    const hadFocus = prompt.contains(document.activeElement);
+    prompt.remove();
+    prompt = null;
+    if (hadFocus) getFocusable(form)[0]?.focus();
+  };
+
+  // change events let the wizard and conditional fields follow the restored values
+  const restore = (values) => {
+    draftFields(form, exclude).forEach((el) => {
+      if (!(el.name in values)) return;
+      const value = values[el.name];
+      if (el.type === "checkbox") el.checked = value === true;
+      else if (el.type === "radio") el.checked = el.value === value;
+      else el.value = value;
+      el.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+  };
+
+  const fillPrompt = (draft) => {
+    const date = new Intl.DateTimeFormat(lang, { dateStyle: "medium", timeStyle: "short" }).format(draft.savedAt);
+    $(".draft__title", prompt).textContent = t("draft.prompt");
+    $(".draft__meta", prompt).textContent = t("draft.savedAt", { date });
+    $("[data-draft-restore]", prompt).textContent = t("draft.restore");
+    $("[data-draft-discard]", prompt).textContent = t("draft.discard");
+  };
+
+  // Shows the prompt when a draft is stored; returns whether it did
+  const offer = () => {
+    const draft = readDraft(key);
+    if (!draft || !tpl) return false;
+
+    if (!prompt) {
+      prompt = fillTemplate(tpl);
+      prompt.setAttribute("aria-label", t("draft.prompt"));
+      $("[data-draft-restore]", prompt).addEventListener("click", () => {
+        const current = readDraft(key);
+        hidePrompt();
+        if (current) restore(current.values);
+      });
+      $("[data-draft-discard]", prompt).addEventListener("click", () => {
+        writeDraft(key, null);
+        hidePrompt();
+        scheduleSave(); // whatever was typed while the prompt was open
+      });
+      form.prepend(prompt);
+    }
+    fillPrompt(draft);
+    return true;
+  };
+
+  const clear = () => {
+    cancelSave();
+    writeDraft(key, null);
+    hidePrompt();
+  };
+
+  form.addEventListener("input", scheduleSave);
+  form.addEventListener("change", scheduleSave);
+  // reset empties the fields, not the stored draft (the mail client may never have opened);
+  // the event fires before the values go, so a pending save still sees them
+  form.addEventListener("reset", () => {
+    if (timer) save();
+    hidePrompt();
+  });
+  window.addEventListener("pagehide", () => {
+    if (timer) save();
+  });
+
+  onLanguageChange(() => {
+    if (!prompt) return;
+    const draft = readDraft(key);
+    if (draft) fillPrompt(draft);
+    else hidePrompt();
+  });
+
+  offer();
+
+  return { offer, clear, save };
+};
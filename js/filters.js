@@ -0,0 +1,29 @@
+/* =========================================
+   MEBLOVE — Filtering / search
+   File: js/filters.js (imported by app.js: projects filter, FAQ search)
+   - normalizeText: case- and diacritics-insensitive ("łazienka" matches "lazienka")
+   - parseTags: "kuchnie, led" -> ["kuchnie", "led"]
+   - matchesFilter: all selected tags + every word of the query
+   ========================================= */
+
+export const normalizeText = (str) =>
+  String(str || "")
+    .toLowerCase()
+    .replace(/ł/g, "l")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+export const parseTags = (str) =>
+  String(str || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+export const searchWords = (query) => normalizeText(query).split(/\s+/).filter(Boolean);
+
+// item: { tags: [], text: "" }; filter: { tags: Set | [], query: "" }
+export const matchesFilter = (item, { tags = [], query = "" } = {}) => {
+  if (![...tags].every((tag) => item.tags.includes(tag))) return false;
+  const text = normalizeText(item.text);
+  return searchWords(query).every((word) => text.includes(word));
+};
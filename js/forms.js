@@ -0,0 +1,103 @@
+/* =========================================
+   MEBLOVE — Form logic
+   File: js/forms.js (imported by app.js; wiring, transport and drafts live there)
+   - isEmailValid / serializeForm / buildMailto
+   - validation schemas for the contact and quote forms + fieldError(el, rules)
+   - findServiceOption: quote modal service prefill
+   - mergeTextBlock: blocks appended to free text (estimator, lightbox, FAQ)
+   ========================================= */
+import { t, tn } from "./i18n.js";
+
+export const MAIL_TO = "biuro@meblove.com.pl";
+
+export const isEmailValid = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i.test(String(email || "").trim());
+
+export const serializeForm = (form) => {
+  const data = new FormData(form);
+  const obj = {};
+  for (const [k, v] of data.entries()) obj[k] = String(v).trim();
+  // checkbox fields (consent) won't appear if unchecked; handle separately when needed
+  return obj;
+};
+
+// RFC 6068: percent-encoded UTF-8, spaces as %20 (some mail clients show "+" literally), CRLF line breaks
+export const buildMailto = ({ subject, body }) => {
+  const encode = (value) => encodeURIComponent(String(value || "").replace(/\r?\n/g, "\r\n"));
+  return `mailto:${MAIL_TO}?subject=${encode(subject)}&body=${encode(body)}`;
+};
+
+// Appends a block to free text, replacing an earlier block with the same first line
+export const mergeTextBlock = (text, block) => {
+  const marker = block.split("\n")[0];
+  const kept = String(text || "")
+    .split(/\n\s*\n/)
+    .map((b) => b.trim())
+    .filter((b) => b && !b.startsWith(marker));
+  return [...kept, block].join("\n\n");
+};
+
+// exact value first (option labels are translated), then a loose label match
+export const findServiceOption = (options, service) => {
+  const wanted = String(service || "").trim().toLowerCase();
+  if (!wanted) return null;
+  const list = Array.from(options);
+  return (
+    list.find((o) => o.value.toLowerCase() === wanted) ||
+    list.find((o) => o.textContent.trim().toLowerCase().includes(wanted)) ||
+    null
+  );
+};
+
+/* ----------------------------
+   Validation rules
+   - declarative schema per form: { fieldName: { required, minLength, email, phone, postcode } }
+   - fields missing from the schema honour `required` and number min/max
+---------------------------- */
+export const PHONE_PL = /^(?:\+48|0048)?\d{9}$/;
+export const POSTCODE_PL = /^\d{2}-\d{3}$/;
+
+export const contactSchema = {
+  name: { required: true, minLength: 2 },
+  phone: { phone: true },
+  email: { required: true, email: true },
+  topic: { required: true },
+  message: { required: true, minLength: 10 },
+  consent: { required: true },
+};
+
+export const quoteSchema = {
+  service: { required: true },
+  postcode: { postcode: true },
+  name: { required: true, minLength: 2 },
+  email: { required: true, email: true },
+  details: { required: true, minLength: 10 },
+  consent: { required: true },
+};
+
+const isNumberInRange = (el, value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return false;
+  if (el.min !== "" && n < Number(el.min)) return false;
+  if (el.max !== "" && n > Number(el.max)) return false;
+  return true;
+};
+
+// First failing rule as a message, "" when the field is valid
+export const fieldError = (el, rules = {}) => {
+  const value = String(el.value || "").trim();
+  const required = rules.required ?? el.required;
+
+  if (el.type === "checkbox") return required && !el.checked ? t("validation.consent") : "";
+  if (!value) {
+    if (!required) return "";
+    return el.tagName === "SELECT" ? t("validation.choose") : t("validation.required");
+  }
+  if (rules.minLength && value.length < rules.minLength) return tn("validation.minLength", rules.minLength);
+  if (rules.email && !isEmailValid(value)) return t("validation.email");
+  if (rules.phone && !PHONE_PL.test(value.replace(/[\s()-]/g, ""))) return t("validation.phone");
+  if (rules.postcode && !POSTCODE_PL.test(value)) return t("validation.postcode");
+  if (el.type === "number" && !isNumberInRange(el, value)) {
+    return Number.isFinite(Number(value)) ? t("validation.range", { min: el.min, max: el.max }) : t("validation.number");
+  }
+  return "";
+};
@@ -0,0 +1,159 @@
+/* =========================================
+   MEBLOVE — i18n core
+   File: js/i18n.js (imported by app.js; DOM bindings and the switcher live there)
+   - Polish is the source language: strings used from JS are in MESSAGES below
+   - other languages come in as flat dictionaries via useDictionary(code, dictionary)
+   - t(key, params): {name} placeholders; tn(key, count): plural forms key.one/few/many/other
+   - `lang` is a live binding: importers always see the current language
+   - LANGUAGE_EVENT is dispatched on document by app.js once a language is applied
+   ========================================= */
+
+export const DEFAULT_LANG = "pl";
+
+export const MESSAGES = {
+  "meta.title": "Meblove — meble na wymiar i projekty wnętrz",
+  "meta.description": "Meblove — meble na wymiar, zabudowy, kuchnie, szafy oraz projekty wnętrz. Premium design i perfekcyjne wykonanie.",
+  "estimator.fronts": "Fronty",
+  "estimator.worktop": "Blat",
+  "estimator.addons": "Dodatki",
+  "estimator.marker": "Konfiguracja z kalkulatora:",
+  "estimator.type": "Rodzaj",
+  "estimator.lengthLine": "Długość",
+  "estimator.none": "brak",
+  "estimator.estimate": "Szacunek",
+  "estimator.metres": "{value} mb",
+  "estimator.unavailable": "Kalkulator chwilowo niedostępny",
+  "estimator.unavailableNote": "Opisz nam projekt — przygotujemy wycenę bez zgadywania.",
+  "projects.empty": "Brak realizacji dla wybranych filtrów.",
+  "projects.filterAll": "Wszystko",
+  "projects.status": "Wyświetlono {visible} z {total} realizacji.",
+  "projects.loadError": "Nie udało się wczytać realizacji. Napisz do nas — chętnie pokażemy portfolio.",
+  "projects.cardLabel": "Projekt: {title}",
+  "faq.empty": "Brak pytań pasujących do wyszukiwania.",
+  "faq.results.one": "Znaleziono {count} pytanie.",
+  "faq.results.few": "Znaleziono {count} pytania.",
+  "faq.results.many": "Znaleziono {count} pytań.",
+  "faq.results.other": "Znaleziono {count} pytania.",
+  "faq.askDetails": "Pytanie z FAQ:",
+  "reviews.filterAll": "Wszystkie",
+  "reviews.more": "Pokaż więcej",
+  "reviews.less": "Pokaż mniej",
+  "reviews.rating": "Ocena: {rating} z 5",
+  "reviews.count.one": "{count} opinia",
+  "reviews.count.few": "{count} opinie",
+  "reviews.count.many": "{count} opinii",
+  "reviews.count.other": "{count} opinii",
+  "carousel.slide": "slajd",
+  "carousel.position": "{n} z {total}",
+  "carousel.dot": "Przejdź do opinii {n} z {total}",
+  "carousel.status": "Opinia {n} z {total}",
+  "carousel.pause": "Zatrzymaj automatyczne przewijanie",
+  "carousel.play": "Włącz automatyczne przewijanie",
+  "form.phone": "Telefon",
+  "form.email": "E-mail",
+  "form.name": "Imię",
+  "form.topic": "Temat",
+  "lightbox.copy": "Kopiuj link",
+  "lightbox.copied": "Skopiowano ✓",
+  "lightbox.copyPrompt": "Skopiuj link do realizacji:",
+  "lightbox.inspiration": "Inspiracja z realizacji:",
+  "wizard.step": "Krok {n} z {total}",
+  "booking.loading": "Wczytuję wolne terminy…",
+  "booking.error": "Nie udało się wczytać terminów. Napisz w opisie, kiedy Ci pasuje — oddzwonimy.",
+  "booking.empty": "W tym tygodniu nie ma wolnych terminów.",
+  "booking.none": "brak",
+  "booking.slot": "{date}, godz. {time}",
+  "booking.slotTaken": "{time} — zajęte",
+  "booking.expired": "Zapisany wcześniej termin jest już niedostępny — wybierz inny.",
+  "booking.taken": "Wybrany termin pomiaru został właśnie zajęty. Wybierz inny albo pomiń ten krok.",
+  "booking.eventTitle": "Pomiar — Meblove",
+  "booking.eventText": "Bezpłatny pomiar w ramach wyceny. Termin potwierdzimy telefonicznie. Kontakt: 693 040 609, biuro@meblove.com.pl",
+  "form.city": "Miasto",
+  "form.postcode": "Kod pocztowy",
+  "form.sending": "Wysyłam wiadomość…",
+  "form.sent": "Dziękujemy! Wiadomość dotarła — odezwiemy się możliwie szybko.",
+  "form.sendFailed": "Nie udało się wysłać formularza. Otwieram Twoją pocztę z przygotowaną wiadomością…",
+  "outbox.queued": "Brak połączenia — zapisaliśmy Twoje zapytanie i wyślemy je automatycznie, gdy wróci internet.",
+  "outbox.pending": "Zapytanie zapisane bez połączenia czeka na wysłanie — wyślemy je, gdy wróci internet.",
+  "outbox.sent": "Zapytanie zapisane bez połączenia zostało wysłane. Dziękujemy — odezwiemy się możliwie szybko.",
+  "outbox.rejected": "Zapytanie zapisane bez połączenia nie zostało przyjęte. Wyślij je ponownie albo zadzwoń: 693 040 609.",
+  "form.openingMail": "Otwieram Twoją pocztę z przygotowaną wiadomością…",
+  "form.attachReminder": "Pamiętaj, aby dołączyć pliki do wiadomości.",
+  "form.invalid": "Popraw zaznaczone pola — podpowiedzi znajdziesz pod każdym z nich.",
+  "form.invalidStep": "Uzupełnij zaznaczone pola, aby przejść dalej.",
+  "validation.required": "To pole jest wymagane.",
+  "validation.choose": "Wybierz jedną z opcji.",
+  "validation.consent": "Zaznacz zgodę, abyśmy mogli się z Tobą skontaktować.",
+  "validation.minLength.one": "Wpisz co najmniej {count} znak.",
+  "validation.minLength.few": "Wpisz co najmniej {count} znaki.",
+  "validation.minLength.many": "Wpisz co najmniej {count} znaków.",
+  "validation.minLength.other": "Wpisz co najmniej {count} znaku.",
+  "validation.email": "Wpisz poprawny adres e-mail, np. jan@example.pl.",
+  "validation.phone": "Wpisz polski numer telefonu: 9 cyfr, opcjonalnie z +48.",
+  "validation.postcode": "Wpisz kod pocztowy w formacie 00-000.",
+  "validation.number": "Wpisz liczbę.",
+  "validation.range": "Podaj wartość od {min} do {max}.",
+  "draft.prompt": "Przywrócić wcześniejszy szkic?",
+  "draft.savedAt": "Zapisano {date}.",
+  "draft.restore": "Przywróć",
+  "draft.discard": "Odrzuć",
+  "spam.blocked": "Nie udało się wysłać formularza. Zadzwoń do nas lub napisz na biuro@meblove.com.pl.",
+  "spam.tooFast": "To było bardzo szybkie — sprawdź jeszcze raz dane i wyślij ponownie za chwilę.",
+  "spam.rateLimited": "Z tej przeglądarki wysłano już kilka zapytań. Spróbuj ponownie za {minutes} min albo zadzwoń: 693 040 609.",
+  "form.mailFallback": "Jeśli mail się nie otworzył, skopiuj treść i wyślij na biuro@meblove.com.pl.",
+  "form.mailFallbackQuote": "Jeśli mail się nie otworzył, wyślij ręcznie na biuro@meblove.com.pl.",
+  "attach.processing": "przetwarzanie…",
+  "attach.remove": "Usuń plik: {name}",
+  "attach.badType": "{name}: nieobsługiwany format",
+  "attach.tooMany": "{name}: limit {max} plików",
+  "attach.tooBig": "{name}: plik większy niż {size}",
+  "attach.skipped": "Pominięto: {list}.",
+  "attach.heading": "Załączniki:",
+  "mail.greeting": "Dzień dobry,",
+  "mail.yes": "TAK",
+  "mail.no": "NIE",
+  "mail.consent": "Zgoda na kontakt",
+  "mail.contact.subject": "Meblove — zapytanie: {topic} ({name})",
+  "mail.contact.topic": "Kontakt",
+  "mail.contact.intro": "Chciałbym/chciałabym zapytać o:",
+  "mail.contact.message": "Wiadomość:",
+  "mail.contact.footer": "Wysłano ze strony meblove (formularz kontaktowy).",
+  "mail.quote.subject": "Meblove — bezpłatna wycena: {service} ({name})",
+  "mail.quote.service": "Zapytanie",
+  "mail.quote.intro": "Proszę o bezpłatną wycenę:",
+  "mail.quote.serviceLine": "Usługa",
+  "mail.quote.details": "Szczegóły projektu:",
+  "mail.quote.description": "Opis / inspiracje:",
+  "mail.quote.footer": "Wysłano ze strony meblove (szybka wycena).",
+};
+
+export const LANGUAGE_EVENT = "meblove:languagechange";
+
+export let lang = DEFAULT_LANG;
+let dictionary = {};
+
+export const useDictionary = (code, dict = {}) => {
+  lang = code;
+  dictionary = dict;
+};
+
+export const t = (key, params = {}) => {
+  const template = dictionary[key] ?? MESSAGES[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// Plural variant picked with Intl.PluralRules ("1 opinia", "3 opinie", "5 opinii")
+export const tn = (key, count, params = {}) => {
+  const category = new Intl.PluralRules(lang).select(count);
+  const variant = [`${key}.${category}`, `${key}.other`].find((k) => k in dictionary || k in MESSAGES);
+  return t(variant || key, { count, ...params });
+};
+
+// script-rendered nodes use MESSAGES keys, so Polish never depends on what was captured
+export const lookup = (key, original) => dictionary[key] ?? MESSAGES[key] ?? original;
+
+// Returns the remover, like the dom.js listeners
+export const onLanguageChange = (fn) => {
+  document.addEventListener(LANGUAGE_EVENT, fn);
+  return () => document.removeEventListener(LANGUAGE_EVENT, fn);
+};
@@ -0,0 +1,172 @@
+/* =========================================
+   MEBLOVE — Service worker
+   File: sw.js (registered by app.js, section "Offline")
+   - precache: app shell, data files, offline page, portfolio images from data/projects.json
+   - pages: network first, cached copy or offline.html without a connection
+   - data (*.json): network first; other assets: cache first, refreshed in the background
+   - outbox: leads queued offline by app.js (IndexedDB) are sent on Background Sync
+   ========================================= */
+
+const CACHE_VERSION = "v6"; // bump to drop old caches after changing PRECACHE
+const CACHE = `meblove-${CACHE_VERSION}`;
+const OFFLINE_URL = "offline.html";
+
+const PRECACHE = [
+  "./",
+  "index.html",
+  "app.js",
+  "js/dom.js",
+  "js/i18n.js",
+  "js/forms.js",
+  "js/filters.js",
+  "js/components.js",
+  "js/dialogs.js",
+  "js/drafts.js",
+  "styles.css",
+  OFFLINE_URL,
+  "manifest.webmanifest",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "data/projects.json",
+  "data/reviews.json",
+  "data/i18n/en.json",
+  "data/i18n/de.json",
+  "data/i18n/uk.json",
+];
+
+// third-party hosts worth keeping offline (webfonts)
+const CACHED_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+// keep in sync with app.js
+const OUTBOX_DB = "meblove";
+const OUTBOX_STORE = "outbox";
+const OUTBOX_SYNC_TAG = "meblove-outbox";
+
+/* ----------------------------
+   Caching
+---------------------------- */
+const portfolioImages = async () => {
+  try {
+    const res = await fetch("data/projects.json");
+    const data = await res.json();
+    return (data.projects || []).flatMap((project) => (project.images || []).map((image) => image.src)).filter(Boolean);
+  } catch (err) {
+    return [];
+  }
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      await cache.addAll(PRECACHE);
+      // a missing photo must not break the install
+      const images = await portfolioImages();
+      await Promise.all(images.map((src) => cache.add(src).catch(() => {})));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(keys.filter((key) => key.startsWith("meblove-") && key !== CACHE).map((key) => caches.delete(key)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+const networkFirst = async (request, fallback) => {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    return cached || (fallback && (await cache.match(fallback))) || Response.error();
+  }
+};
+
+const staleWhileRevalidate = async (event) => {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request)
+    .then(async (res) => {
+      if (res.ok || res.type === "opaque") await cache.put(event.request, res.clone());
+      return res;
+    })
+    .catch(() => null);
+  event.waitUntil(network);
+  return cached || (await network) || Response.error();
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  // POSTs go to the network; "no-store" requests (e.g. slot re-checks) must never see a cached answer
+  if (request.method !== "GET" || request.cache === "no-store") return;
+
+  const url = new URL(request.url);
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, OFFLINE_URL));
+    return;
+  }
+  if (url.origin !== self.location.origin && !CACHED_HOSTS.includes(url.host)) return;
+
+  if (url.pathname.endsWith(".json")) event.respondWith(networkFirst(request));
+  else event.respondWith(staleWhileRevalidate(event));
+});
+
+/* ----------------------------
+   Outbox (Background Sync)
+---------------------------- */
+const openOutbox = () =>
+  new Promise((resolve, reject) => {
+    const req = indexedDB.open(OUTBOX_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: "id", autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const outboxRequest = async (mode, action) => {
+  const db = await openOutbox();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(OUTBOX_STORE, mode);
+      const req = action(tx.objectStore(OUTBOX_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const notifyClients = async (message) => {
+  const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage(message));
+};
+
+// Throwing leaves the rest queued; the browser retries the sync later
+const flushOutbox = async () => {
+  const entries = await outboxRequest("readonly", (store) => store.getAll());
+  for (const entry of entries) {
+    const res = await fetch(entry.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify(entry.payload),
+      credentials: "same-origin",
+    });
+    if (res.status >= 500) throw new Error(`HTTP ${res.status}`);
+
+    // 4xx: the backend refused the data, retrying won't change that
+    await outboxRequest("readwrite", (store) => store.delete(entry.id));
+    await notifyClients({ type: "outbox", source: entry.payload.source, status: res.ok ? "sent" : "rejected" });
+  }
+};
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) event.waitUntil(flushOutbox());
+});
@@ -0,0 +1,205 @@
+import { test, describe, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, press } from "./dom-env.js";
+import {
+  defineComponent,
+  mountComponent,
+  mountComponents,
+  destroyComponents,
+  getComponent,
+  startComponents,
+} from "../js/components.js";
+
+// MutationObserver callbacks run as microtasks
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const counts = { mounted: 0, clicks: 0, escapes: 0, outside: 0, cleanups: [] };
+
+before(() => {
+  setupDom();
+
+  // counts everything registered through the scope, so teardown is observable
+  defineComponent("probe", (root, scope) => {
+    counts.mounted++;
+    scope.listen(root, "click", () => counts.clicks++);
+    scope.escape(() => counts.escapes++);
+    scope.outside(root, () => counts.outside++);
+    scope.cleanup(() => counts.cleanups.push("first"));
+    scope.cleanup(() => counts.cleanups.push("second"));
+    return { name: root.dataset.name, destroy: () => counts.cleanups.push("api") };
+  });
+
+  defineComponent("broken", (root, scope) => {
+    scope.escape(() => counts.escapes++);
+    throw new Error("setup failed");
+  });
+});
+
+beforeEach(() => {
+  Object.assign(counts, { mounted: 0, clicks: 0, escapes: 0, outside: 0, cleanups: [] });
+  document.body.innerHTML = `
+    <div id="a" data-component="probe" data-name="a"></div>
+    <div id="b" data-component="probe" data-name="b"></div>
+    <p id="elsewhere">poza komponentem</p>`;
+});
+
+afterEach(() => destroyComponents());
+
+const click = (el) => el.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+const mousedown = (el) => el.dispatchEvent(new MouseEvent("mousedown", { bubbles: true }));
+
+describe("mounting", () => {
+  test("one instance per element, with the API returned by setup", () => {
+    mountComponents();
+    assert.equal(counts.mounted, 2);
+    assert.equal(getComponent(document.getElementById("a"), "probe").name, "a");
+    assert.equal(getComponent(document.getElementById("b"), "probe").name, "b");
+    assert.equal(getComponent(document.getElementById("elsewhere"), "probe"), null);
+    assert.equal(getComponent(null, "probe"), null);
+  });
+
+  test("mounting again returns the existing instance", () => {
+    const el = document.getElementById("a");
+    const first = mountComponent(el, "probe");
+    assert.equal(mountComponent(el, "probe"), first);
+    mountComponents();
+    assert.equal(counts.mounted, 2);
+  });
+
+  test("detached elements and unknown names are skipped", () => {
+    const detached = document.createElement("div");
+    assert.equal(mountComponent(detached, "probe"), null);
+    assert.equal(mountComponent(document.getElementById("a"), "nope"), null);
+    assert.equal(counts.mounted, 0);
+  });
+
+  test("mounting from code records the name, so destroyComponents() finds it", () => {
+    const el = document.getElementById("elsewhere");
+    mountComponent(el, "probe");
+    assert.equal(el.dataset.component, "probe");
+    destroyComponents(el);
+    assert.equal(getComponent(el, "probe"), null);
+    assert.deepEqual(counts.cleanups, ["api", "second", "first"]);
+  });
+
+  test("several names on one element", () => {
+    defineComponent("tag", (root) => ({ tagged: root.id }));
+    document.getElementById("a").dataset.component = "probe tag";
+    mountComponents();
+    assert.equal(getComponent(document.getElementById("a"), "tag").tagged, "a");
+    assert.equal(getComponent(document.getElementById("a"), "probe").name, "a");
+  });
+});
+
+describe("destroy()", () => {
+  test("removes listen / escape / outside listeners and runs cleanups in reverse", () => {
+    mountComponents();
+    const a = document.getElementById("a");
+    const instance = getComponent(a, "probe");
+
+    click(a);
+    press(document.body, "Escape");
+    mousedown(document.getElementById("elsewhere"));
+    assert.deepEqual([counts.clicks, counts.escapes, counts.outside], [1, 2, 2]); // ESC / outside: both instances
+
+    instance.destroy();
+    assert.deepEqual(counts.cleanups, ["api", "second", "first"]);
+    assert.equal(getComponent(a, "probe"), null);
+
+    click(a);
+    press(document.body, "Escape");
+    mousedown(document.getElementById("elsewhere"));
+    assert.deepEqual([counts.clicks, counts.escapes, counts.outside], [1, 3, 3]); // only "b" still listens
+  });
+
+  test("runs once", () => {
+    mountComponents();
+    const instance = getComponent(document.getElementById("a"), "probe");
+    instance.destroy();
+    instance.destroy();
+    assert.deepEqual(counts.cleanups, ["api", "second", "first"]);
+  });
+
+  test("destroyComponents(root) covers the root and everything inside it", () => {
+    document.body.insertAdjacentHTML("beforeend", '<section id="box" data-component="probe"><div data-component="probe"></div></section>');
+    mountComponents();
+    destroyComponents(document.getElementById("box"));
+    assert.equal(counts.cleanups.filter((c) => c === "api").length, 2);
+    assert.ok(getComponent(document.getElementById("a"), "probe"));
+  });
+
+  test("a remover from cleanup() runs early and only once", () => {
+    let runs = 0;
+    defineComponent("early", (root, scope) => {
+      const remove = scope.cleanup(() => runs++);
+      return { remove };
+    });
+    document.getElementById("a").dataset.component = "early";
+    mountComponents();
+    const instance = getComponent(document.getElementById("a"), "early");
+    instance.remove();
+    instance.destroy();
+    assert.equal(runs, 1);
+  });
+});
+
+describe("broken setup", () => {
+  test("is reported, its scope is disposed and later elements still mount", () => {
+    document.body.insertAdjacentHTML("afterbegin", '<div id="bad" data-component="broken"></div>');
+    const reported = [];
+    const { error } = console;
+    console.error = (...args) => reported.push(args);
+    try {
+      mountComponents();
+    } finally {
+      console.error = error;
+    }
+
+    assert.equal(reported.length, 1);
+    assert.match(reported[0][0], /"broken" failed to mount/);
+    assert.equal(reported[0][2].message, "setup failed");
+    assert.equal(getComponent(document.getElementById("bad"), "broken"), null);
+    assert.equal(counts.mounted, 2);
+
+    press(document.body, "Escape");
+    assert.equal(counts.escapes, 2); // the two probes; the broken one's listener is gone
+  });
+});
+
+describe("startComponents()", () => {
+  test("mounts inserted markup, destroys removed markup, keeps moved markup", async () => {
+    const stop = startComponents();
+    try {
+      assert.equal(counts.mounted, 2);
+
+      document.body.insertAdjacentHTML("beforeend", '<div id="late" data-component="probe" data-name="late"></div>');
+      await flush();
+      assert.equal(getComponent(document.getElementById("late"), "probe").name, "late");
+
+      const b = document.getElementById("b");
+      const instance = getComponent(b, "probe");
+      document.getElementById("elsewhere").append(b);
+      await flush();
+      assert.equal(getComponent(b, "probe"), instance);
+
+      document.getElementById("a").remove();
+      await flush();
+      assert.deepEqual(counts.cleanups, ["api", "second", "first"]);
+      assert.equal(getComponent(document.getElementById("late"), "probe").name, "late");
+    } finally {
+      stop();
+    }
+  });
+
+  test("a definition after start-up mounts what is already on the page; stop() ends that", async () => {
+    document.body.insertAdjacentHTML("beforeend", '<div id="x" data-component="later"></div>');
+    const stop = startComponents();
+    defineComponent("later", () => ({ ok: true }));
+    assert.equal(getComponent(document.getElementById("x"), "later").ok, true);
+
+    stop();
+    document.body.insertAdjacentHTML("beforeend", '<div id="y" data-component="probe"></div>');
+    await flush();
+    assert.equal(getComponent(document.getElementById("y"), "probe"), null);
+  });
+});
@@ -0,0 +1,200 @@
+import { test, describe, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, press } from "./dom-env.js";
+import { destroyComponents, getComponent } from "../js/components.js";
+import {
+  DIALOG_OPEN_EVENT,
+  DIALOG_CLOSE_EVENT,
+  openDialog,
+  closeDialog,
+  isDialogOpen,
+  enableDialogs,
+} from "../js/dialogs.js";
+
+const PAGE = `
+  <header id="header"><button id="opener" data-open-modal="quote" data-service="Inne">Wycena</button></header>
+  <main id="page"><button id="other">Inny przycisk</button><p id="note" inert>już nieaktywne</p></main>
+  <div class="modal" id="modalQuote" data-dialog="quote" role="dialog" aria-hidden="true">
+    <div class="modal__backdrop" id="quoteBackdrop" data-close-modal></div>
+    <div class="modal__panel">
+      <button id="quoteClose" type="button" data-close-modal>Zamknij</button>
+      <input id="quoteName">
+      <button id="toConsent" type="button" data-open-modal="consent">Ustawienia cookies</button>
+    </div>
+  </div>
+  <div class="modal" id="modalConsent" data-dialog="consent" role="dialog" aria-hidden="true">
+    <div class="modal__panel">
+      <button id="consentSave" type="button">Zapisz</button>
+      <button id="consentClose" type="button" data-close-modal>Zamknij</button>
+    </div>
+  </div>`;
+
+const $ = (id) => document.getElementById(id);
+const click = (el) => el.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+const isOpen = (id) => $(id).classList.contains("is-open");
+const inertIds = () => Array.from(document.querySelectorAll("[inert]"), (el) => el.id);
+const escape = () => press(document.activeElement || document.body, "Escape");
+
+let disableDialogs = null;
+let events = [];
+const record = (e) => events.push({ type: e.type, name: e.detail.name, reason: e.detail.reason, trigger: e.detail.trigger });
+
+before(() => {
+  setupDom();
+  disableDialogs = enableDialogs();
+  document.addEventListener(DIALOG_OPEN_EVENT, record);
+  document.addEventListener(DIALOG_CLOSE_EVENT, record);
+});
+
+after(() => disableDialogs());
+
+beforeEach(() => {
+  document.body.innerHTML = PAGE;
+  events = [];
+});
+
+// the stack is module state: nothing may stay open for the next test
+afterEach(() => {
+  closeDialog("consent");
+  closeDialog("quote");
+});
+
+describe("opening", () => {
+  test("[data-open-modal] opens the dialog, moves focus in and emits the open event", () => {
+    $("opener").focus();
+    click($("opener"));
+
+    assert.equal(isOpen("modalQuote"), true);
+    assert.equal($("modalQuote").getAttribute("aria-hidden"), "false");
+    assert.equal(isDialogOpen("quote"), true);
+    assert.equal(document.activeElement.id, "quoteClose");
+    assert.deepEqual(events, [{ type: DIALOG_OPEN_EVENT, name: "quote", reason: undefined, trigger: $("opener") }]);
+  });
+
+  test("locks body scroll and makes the rest of the page inert", () => {
+    openDialog("quote");
+    assert.equal(document.body.dataset.scrollLock, "1");
+    assert.equal(document.body.style.overflow, "hidden");
+    assert.deepEqual(inertIds().sort(), ["header", "modalConsent", "note", "page"]);
+    assert.equal($("modalQuote").hasAttribute("inert"), false);
+  });
+
+  test("opening an open dialog is a no-op", () => {
+    assert.equal(openDialog("quote"), true);
+    assert.equal(openDialog($("modalQuote")), false);
+    assert.equal(events.length, 1);
+    assert.equal(openDialog("missing"), false);
+  });
+
+  test("Tab stays inside the panel", () => {
+    openDialog("quote");
+    $("toConsent").focus();
+    const event = press($("toConsent"), "Tab");
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(document.activeElement.id, "quoteClose");
+  });
+});
+
+describe("closing", () => {
+  test("[data-close-modal] closes with reason dismiss, restores focus and releases everything", () => {
+    $("opener").focus();
+    click($("opener"));
+    click($("quoteBackdrop"));
+
+    assert.equal(isOpen("modalQuote"), false);
+    assert.equal($("modalQuote").getAttribute("aria-hidden"), "true");
+    assert.equal(document.activeElement.id, "opener");
+    assert.equal(events[1].type, DIALOG_CLOSE_EVENT);
+    assert.equal(events[1].reason, "dismiss");
+    assert.equal(document.body.dataset.scrollLock, undefined);
+    assert.equal(document.body.style.overflow, "");
+    assert.deepEqual(inertIds(), ["note"]); // inert set by someone else stays
+  });
+
+  test("ESC closes only the top dialog, one per press, in reverse order", () => {
+    $("opener").focus();
+    click($("opener"));
+    $("toConsent").focus();
+    click($("toConsent"));
+    assert.equal($("modalConsent").style.zIndex, "91");
+    assert.ok(inertIds().includes("modalQuote"));
+
+    escape();
+    assert.equal(isOpen("modalConsent"), false);
+    assert.equal(isOpen("modalQuote"), true);
+    assert.equal(document.activeElement.id, "toConsent");
+    assert.equal(document.body.dataset.scrollLock, "1");
+    assert.equal(inertIds().includes("modalQuote"), false);
+    assert.equal($("modalConsent").style.zIndex, "");
+
+    escape();
+    assert.equal(isOpen("modalQuote"), false);
+    assert.equal(document.activeElement.id, "opener");
+    assert.equal(document.body.dataset.scrollLock, undefined);
+    assert.deepEqual(inertIds(), ["note"]);
+
+    escape();
+    assert.deepEqual(
+      events.map((e) => `${e.type === DIALOG_OPEN_EVENT ? "open" : "close"}:${e.name}`),
+      ["open:quote", "open:consent", "close:consent", "close:quote"]
+    );
+  });
+
+  test("closing the dialog underneath keeps focus in the top one and the scroll lock on", () => {
+    $("opener").focus();
+    openDialog("quote");
+    openDialog("consent");
+    $("consentSave").focus();
+
+    closeDialog("quote", { reason: "sent" });
+    assert.equal(document.activeElement.id, "consentSave");
+    assert.equal(document.body.dataset.scrollLock, "1");
+    assert.equal(events.at(-1).reason, "sent");
+
+    closeDialog("consent");
+    assert.equal(document.body.dataset.scrollLock, undefined);
+    assert.equal(closeDialog("consent"), false);
+  });
+});
+
+describe("dialog component", () => {
+  test("mounted on first open; destroy() closes the dialog and drops its ESC listener", () => {
+    $("opener").focus();
+    openDialog("quote");
+    const dialog = getComponent($("modalQuote"), "dialog");
+    assert.ok(dialog);
+    assert.equal(dialog.isOpen(), true);
+
+    destroyComponents($("modalQuote"));
+    assert.equal(isOpen("modalQuote"), false);
+    assert.equal(events.at(-1).reason, "destroy");
+    assert.equal(document.body.dataset.scrollLock, undefined);
+    assert.deepEqual(inertIds(), ["note"]);
+    assert.equal(getComponent($("modalQuote"), "dialog"), null);
+
+    // a later open mounts it again, with a working ESC
+    openDialog("quote");
+    escape();
+    assert.equal(isOpen("modalQuote"), false);
+  });
+
+  test("component API opens and closes through the manager", () => {
+    openDialog("consent");
+    closeDialog("consent");
+    const dialog = getComponent($("modalConsent"), "dialog");
+    dialog.open();
+    assert.equal(isDialogOpen("consent"), true);
+    dialog.close({ reason: "saved" });
+    assert.equal(events.at(-1).reason, "saved");
+  });
+
+  test("no ESC listeners are left behind once every dialog is closed", () => {
+    openDialog("quote");
+    openDialog("consent");
+    closeDialog("consent");
+    closeDialog("quote");
+    events = [];
+    escape();
+    assert.deepEqual(events, []);
+  });
+});
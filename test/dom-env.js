@@ -0,0 +1,44 @@
+// Shared jsdom page for the tests: js/*.js modules read `document` and friends from globalThis
+import { JSDOM } from "jsdom";
+
+export const setupDom = (html = "") => {
+  const dom = new JSDOM(`<!doctype html><html lang="pl"><body>${html}</body></html>`, {
+    url: "https://meblove.test/",
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+
+  // jsdom has no layout, so offsetParent is always null; approximate the browser rule
+  // (null when the element or an ancestor is display: none) from computed styles
+  Object.defineProperty(window.HTMLElement.prototype, "offsetParent", {
+    configurable: true,
+    get() {
+      if (!this.isConnected) return null;
+      for (let el = this; el; el = el.parentElement) {
+        if (window.getComputedStyle(el).display === "none") return null;
+      }
+      return this.parentElement;
+    },
+  });
+
+  Object.assign(globalThis, {
+    window,
+    document: window.document,
+    Node: window.Node,
+    HTMLElement: window.HTMLElement,
+    Event: window.Event,
+    FormData: window.FormData,
+    KeyboardEvent: window.KeyboardEvent,
+    MouseEvent: window.MouseEvent,
+    CustomEvent: window.CustomEvent,
+    MutationObserver: window.MutationObserver,
+    localStorage: window.localStorage,
+  });
+  return window;
+};
+
+export const press = (target, key, init = {}) => {
+  const event = new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true, ...init });
+  target.dispatchEvent(event);
+  return event;
+};
@@ -0,0 +1,113 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, press } from "./dom-env.js";
+import { $, $$, decodeHash, closeOnEscape, onOutsideClick, getFocusable, trapFocus } from "../js/dom.js";
+
+beforeEach(() => {
+  setupDom(`
+    <button id="outside">Poza</button>
+    <div class="modal__panel" id="panel">
+      <button id="close" type="button">Zamknij</button>
+      <a id="nolink">bez href</a>
+      <input id="name">
+      <button id="disabled" disabled>Wyłączony</button>
+      <div hidden><input id="hiddenInput"></div>
+      <span tabindex="-1" id="skip">pominięty</span>
+      <a id="send" href="#wyslij">Wyślij</a>
+    </div>`);
+});
+
+describe("$ / $$", () => {
+  test("query within a root", () => {
+    assert.equal($("#close").id, "close");
+    assert.equal($("#outside", $("#panel")), null);
+    assert.ok(Array.isArray($$("button")));
+    assert.equal($$("button", $("#panel")).length, 2);
+  });
+});
+
+describe("getFocusable", () => {
+  test("skips disabled, hidden, tabindex=-1 and links without href", () => {
+    assert.deepEqual(getFocusable($("#panel")).map((el) => el.id), ["close", "name", "send"]);
+  });
+});
+
+describe("trapFocus", () => {
+  test("Tab on the last element wraps to the first", () => {
+    const remove = trapFocus($("#panel"));
+    $("#send").focus();
+    const event = press($("#send"), "Tab");
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(document.activeElement.id, "close");
+    remove();
+  });
+
+  test("Shift+Tab on the first element wraps to the last", () => {
+    const remove = trapFocus($("#panel"));
+    $("#close").focus();
+    const event = press($("#close"), "Tab", { shiftKey: true });
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(document.activeElement.id, "send");
+    remove();
+  });
+
+  test("Tab in the middle is left to the browser", () => {
+    const remove = trapFocus($("#panel"));
+    $("#name").focus();
+    assert.equal(press($("#name"), "Tab").defaultPrevented, false);
+    assert.equal(press($("#name"), "Enter").defaultPrevented, false);
+    remove();
+  });
+
+  test("the remover stops the trap", () => {
+    trapFocus($("#panel"))();
+    $("#send").focus();
+    assert.equal(press($("#send"), "Tab").defaultPrevented, false);
+    assert.equal(document.activeElement.id, "send");
+  });
+});
+
+describe("closeOnEscape", () => {
+  test("fires on Escape only and stops after removal", () => {
+    let calls = 0;
+    const remove = closeOnEscape(() => calls++);
+    press(document.body, "Enter");
+    press(document.body, "Escape");
+    assert.equal(calls, 1);
+    remove();
+    press(document.body, "Escape");
+    assert.equal(calls, 1);
+  });
+});
+
+describe("onOutsideClick", () => {
+  const pointer = (el, type) =>
+    el.dispatchEvent(type === "touchstart" ? new window.Event(type, { bubbles: true }) : new MouseEvent(type, { bubbles: true }));
+
+  test("mousedown and touchstart outside the root, not inside", () => {
+    const seen = [];
+    const remove = onOutsideClick($("#panel"), (e) => seen.push(e.type));
+    pointer($("#name"), "mousedown");
+    pointer($("#outside"), "mousedown");
+    pointer($("#outside"), "touchstart");
+    assert.deepEqual(seen, ["mousedown", "touchstart"]);
+    remove();
+    pointer($("#outside"), "mousedown");
+    pointer($("#outside"), "touchstart");
+    assert.equal(seen.length, 2);
+  });
+});
+
+describe("decodeHash", () => {
+  test("decodes the current hash without #", () => {
+    window.location.hash = "#faq-wycena";
+    assert.equal(decodeHash(), "faq-wycena");
+    assert.equal(decodeHash("#projekt-kuchnia%20d%C4%99bowa"), "projekt-kuchnia dębowa");
+    assert.equal(decodeHash(""), "");
+  });
+
+  test("invalid percent-encoding gives an empty string instead of throwing", () => {
+    assert.equal(decodeHash("#100%"), "");
+    assert.equal(decodeHash("#%E9"), "");
+  });
+});
@@ -0,0 +1,95 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom } from "./dom-env.js";
+import { DRAFT_PREFIX, readDraft, writeDraft, attachDraft } from "../js/drafts.js";
+import { useDictionary, DEFAULT_LANG } from "../js/i18n.js";
+
+const PAGE = `
+  <form id="contactForm">
+    <input name="name">
+    <input name="phone">
+    <textarea name="message"></textarea>
+    <input type="checkbox" name="consent">
+    <input name="website">
+  </form>
+  <template id="draftTemplate">
+    <div class="draft" role="group">
+      <p class="draft__text">
+        <strong class="draft__title" data-field="title"></strong>
+        <span class="draft__meta" data-field="meta"></span>
+      </p>
+      <div class="draft__actions">
+        <button type="button" data-draft-restore data-field="restore"></button>
+        <button type="button" data-draft-discard data-field="discard"></button>
+      </div>
+    </div>
+  </template>`;
+
+const KEY = `${DRAFT_PREFIX}contactForm`;
+const form = () => document.getElementById("contactForm");
+const field = (name) => form().elements[name];
+const prompt = () => form().querySelector(".draft");
+const click = (el) => el.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+const stored = () => readDraft(KEY)?.values ?? null;
+
+// what a keystroke does: the debounced save is pending, pagehide flushes it
+const type = (name, value) => {
+  field(name).value = value;
+  field(name).dispatchEvent(new Event("input", { bubbles: true }));
+  window.dispatchEvent(new Event("pagehide"));
+};
+
+const attach = () => attachDraft(form(), { exclude: ["consent", "website"] });
+
+beforeEach(() => {
+  setupDom(PAGE);
+  useDictionary(DEFAULT_LANG, {});
+});
+
+describe("attachDraft", () => {
+  test("saves typed values, leaving out excluded fields", () => {
+    attach();
+    field("consent").checked = true;
+    field("website").value = "spam";
+    type("name", "Anna");
+    assert.deepEqual(stored(), { name: "Anna" });
+  });
+
+  test("offers a stored draft", () => {
+    writeDraft(KEY, { savedAt: Date.now(), values: { name: "Anna" } });
+    attach();
+    assert.ok(prompt());
+    assert.equal(prompt().querySelector(".draft__title").textContent, "Przywrócić wcześniejszy szkic?");
+  });
+
+  test("does not overwrite the stored draft while the prompt is open", () => {
+    writeDraft(KEY, { savedAt: Date.now(), values: { name: "Anna", message: "Szafa do przedpokoju" } });
+    const draft = attach();
+    type("phone", "6");
+    draft.save();
+    assert.deepEqual(stored(), { name: "Anna", message: "Szafa do przedpokoju" });
+
+    click(prompt().querySelector("[data-draft-restore]"));
+    assert.equal(prompt(), null);
+    assert.equal(field("message").value, "Szafa do przedpokoju");
+    draft.save();
+    assert.deepEqual(stored(), { name: "Anna", phone: "6", message: "Szafa do przedpokoju" });
+  });
+
+  test("discarding drops the old draft and keeps what was typed meanwhile", () => {
+    writeDraft(KEY, { savedAt: Date.now(), values: { message: "Stary szkic" } });
+    attach();
+    type("phone", "6");
+    click(prompt().querySelector("[data-draft-discard]"));
+    assert.equal(prompt(), null);
+    window.dispatchEvent(new Event("pagehide"));
+    assert.deepEqual(stored(), { phone: "6" });
+  });
+
+  test("drops expired drafts instead of offering them", () => {
+    writeDraft(KEY, { savedAt: Date.now() - 8 * 24 * 60 * 60 * 1000, values: { name: "Anna" } });
+    attach();
+    assert.equal(prompt(), null);
+    assert.equal(localStorage.getItem(KEY), null);
+  });
+});
@@ -0,0 +1,55 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeText, parseTags, searchWords, matchesFilter } from "../js/filters.js";
+
+describe("normalizeText", () => {
+  test("drops case and Polish diacritics, including ł", () => {
+    assert.equal(normalizeText("Łazienka ŻÓŁTA, źdźbło, gęś"), "lazienka zolta, zdzblo, ges");
+  });
+
+  test("empty values", () => {
+    assert.equal(normalizeText(undefined), "");
+    assert.equal(normalizeText(null), "");
+  });
+});
+
+describe("parseTags", () => {
+  test("splits on commas and trims", () => {
+    assert.deepEqual(parseTags(" kuchnie, led ,,fornir "), ["kuchnie", "led", "fornir"]);
+    assert.deepEqual(parseTags(""), []);
+    assert.deepEqual(parseTags(null), []);
+  });
+});
+
+describe("searchWords", () => {
+  test("normalized words, extra whitespace ignored", () => {
+    assert.deepEqual(searchWords("  Kuchnia   DĘBOWA "), ["kuchnia", "debowa"]);
+    assert.deepEqual(searchWords(""), []);
+  });
+});
+
+describe("matchesFilter", () => {
+  const item = { tags: ["kuchnie", "led"], text: "Kuchnia dębowa z wyspą — Łódź" };
+
+  test("no filter matches everything", () => {
+    assert.equal(matchesFilter(item), true);
+    assert.equal(matchesFilter(item, { tags: new Set(), query: "   " }), true);
+  });
+
+  test("every selected tag has to be on the item (Set or array)", () => {
+    assert.equal(matchesFilter(item, { tags: new Set(["kuchnie"]) }), true);
+    assert.equal(matchesFilter(item, { tags: ["kuchnie", "led"] }), true);
+    assert.equal(matchesFilter(item, { tags: ["kuchnie", "szafy"] }), false);
+  });
+
+  test("every query word, diacritics-insensitive, in any order", () => {
+    assert.equal(matchesFilter(item, { query: "lodz debowa" }), true);
+    assert.equal(matchesFilter(item, { query: "WYSPĄ kuch" }), true);
+    assert.equal(matchesFilter(item, { query: "dębowa szafa" }), false);
+  });
+
+  test("tags and query together", () => {
+    assert.equal(matchesFilter(item, { tags: ["led"], query: "wyspa" }), true);
+    assert.equal(matchesFilter(item, { tags: ["szafy"], query: "wyspa" }), false);
+  });
+});
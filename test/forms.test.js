@@ -0,0 +1,203 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom } from "./dom-env.js";
+import {
+  MAIL_TO,
+  isEmailValid,
+  serializeForm,
+  buildMailto,
+  mergeTextBlock,
+  findServiceOption,
+  contactSchema,
+  quoteSchema,
+  fieldError,
+} from "../js/forms.js";
+import { useDictionary, DEFAULT_LANG } from "../js/i18n.js";
+
+const field = (html) => {
+  document.body.innerHTML = html;
+  return document.body.firstElementChild;
+};
+
+beforeEach(() => {
+  setupDom();
+  useDictionary(DEFAULT_LANG, {});
+});
+
+describe("isEmailValid", () => {
+  test("accepts plain and subdomain addresses", () => {
+    assert.equal(isEmailValid("jan@example.pl"), true);
+    assert.equal(isEmailValid("  anna.kowalska@poczta.onet.pl "), true);
+  });
+
+  test("rejects missing parts, spaces and one-letter TLDs", () => {
+    ["", null, "jan", "jan@", "@example.pl", "jan@example", "jan @example.pl", "jan@example.p"].forEach((value) =>
+      assert.equal(isEmailValid(value), false, String(value))
+    );
+  });
+});
+
+describe("fieldError: contact form", () => {
+  test("required text field", () => {
+    const el = field('<input name="name">');
+    assert.equal(fieldError(el, contactSchema.name), "To pole jest wymagane.");
+    el.value = "   ";
+    assert.equal(fieldError(el, contactSchema.name), "To pole jest wymagane.");
+  });
+
+  test("minLength uses Polish plural forms", () => {
+    const el = field('<textarea name="message"></textarea>');
+    el.value = "za krótko";
+    assert.equal(fieldError(el, contactSchema.message), "Wpisz co najmniej 10 znaków.");
+    assert.equal(fieldError(el, { minLength: 2 }), "");
+    el.value = "a";
+    assert.equal(fieldError(el, contactSchema.name), "Wpisz co najmniej 2 znaki.");
+    el.value = "";
+    assert.equal(fieldError(el, { required: true, minLength: 1 }), "To pole jest wymagane.");
+  });
+
+  test("minLength follows the active dictionary", () => {
+    useDictionary("en", { "validation.minLength.one": "{count} char", "validation.minLength.other": "{count} chars" });
+    const el = field('<input name="name" value="a">');
+    assert.equal(fieldError(el, contactSchema.name), "2 chars");
+  });
+
+  test("email", () => {
+    const el = field('<input type="email" name="email" value="jan@example">');
+    assert.equal(fieldError(el, contactSchema.email), "Wpisz poprawny adres e-mail, np. jan@example.pl.");
+    el.value = "jan@example.pl";
+    assert.equal(fieldError(el, contactSchema.email), "");
+  });
+
+  test("phone is optional, but has to be a Polish number when given", () => {
+    const el = field('<input type="tel" name="phone">');
+    assert.equal(fieldError(el, contactSchema.phone), "");
+    ["693 040 609", "+48 693-040-609", "0048693040609", "(693) 040 609"].forEach((value) => {
+      el.value = value;
+      assert.equal(fieldError(el, contactSchema.phone), "", value);
+    });
+    ["69304060", "6930406090", "+49 693 040 609", "693 o4o 609"].forEach((value) => {
+      el.value = value;
+      assert.equal(fieldError(el, contactSchema.phone), "Wpisz polski numer telefonu: 9 cyfr, opcjonalnie z +48.", value);
+    });
+  });
+
+  test("consent checkbox", () => {
+    const el = field('<input type="checkbox" name="consent">');
+    assert.equal(fieldError(el, contactSchema.consent), "Zaznacz zgodę, abyśmy mogli się z Tobą skontaktować.");
+    el.checked = true;
+    assert.equal(fieldError(el, contactSchema.consent), "");
+    el.checked = false;
+    assert.equal(fieldError(el, {}), "");
+  });
+
+  test("select asks to choose an option", () => {
+    const el = field('<select name="topic" required><option value="" selected>Wybierz</option><option>Kuchnia</option></select>');
+    assert.equal(fieldError(el, contactSchema.topic), "Wybierz jedną z opcji.");
+  });
+});
+
+describe("fieldError: quote form", () => {
+  test("postcode", () => {
+    const el = field('<input name="postcode">');
+    assert.equal(fieldError(el, quoteSchema.postcode), "");
+    el.value = "00-950";
+    assert.equal(fieldError(el, quoteSchema.postcode), "");
+    ["00950", "0-0950", "00-95", "AB-123"].forEach((value) => {
+      el.value = value;
+      assert.equal(fieldError(el, quoteSchema.postcode), "Wpisz kod pocztowy w formacie 00-000.", value);
+    });
+  });
+
+  test("fields outside the schema honour the required attribute", () => {
+    const el = field('<input name="city" required>');
+    assert.equal(fieldError(el), "To pole jest wymagane.");
+    el.removeAttribute("required");
+    assert.equal(fieldError(el), "");
+  });
+
+  test("number range", () => {
+    const el = field('<input type="number" name="length" min="1" max="12">');
+    el.value = "0";
+    assert.equal(fieldError(el), "Podaj wartość od 1 do 12.");
+    el.value = "12";
+    assert.equal(fieldError(el), "");
+    el.value = "12.5";
+    assert.equal(fieldError(el), "Podaj wartość od 1 do 12.");
+  });
+});
+
+describe("serializeForm", () => {
+  test("trims values and leaves out unchecked checkboxes", () => {
+    const form = field(`
+      <form>
+        <input name="name" value="  Anna  ">
+        <textarea name="details">Szafa  \n</textarea>
+        <select name="service"><option value="Inne" selected>Inne</option></select>
+        <input type="checkbox" name="consent">
+        <input type="checkbox" name="newsletter" value="tak" checked>
+        <input name="off" disabled value="x">
+      </form>`);
+    assert.deepEqual(serializeForm(form), { name: "Anna", details: "Szafa", service: "Inne", newsletter: "tak" });
+  });
+});
+
+describe("buildMailto", () => {
+  test("percent-encodes Polish diacritics as UTF-8 and spaces as %20", () => {
+    const href = buildMailto({ subject: "Wycena: łóżko z szufladą", body: "Zażółć gęślą jaźń" });
+    assert.equal(
+      href,
+      `mailto:${MAIL_TO}?subject=Wycena%3A%20%C5%82%C3%B3%C5%BCko%20z%20szuflad%C4%85` +
+        "&body=Za%C5%BC%C3%B3%C5%82%C4%87%20g%C4%99%C5%9Bl%C4%85%20ja%C5%BA%C5%84"
+    );
+    assert.equal(href.includes("+"), false);
+  });
+
+  test("round-trips and uses CRLF line breaks", () => {
+    const body = "Imię: Łukasz\nMiasto: Łódź\r\nOpis: 100% dębu & orzech";
+    const params = new URL(buildMailto({ subject: "Ąę?", body })).searchParams;
+    assert.equal(params.get("subject"), "Ąę?");
+    assert.equal(params.get("body"), "Imię: Łukasz\r\nMiasto: Łódź\r\nOpis: 100% dębu & orzech");
+  });
+
+  test("empty fields", () => {
+    assert.equal(buildMailto({}), `mailto:${MAIL_TO}?subject=&body=`);
+  });
+});
+
+describe("mergeTextBlock", () => {
+  test("replaces an earlier block with the same first line", () => {
+    const first = mergeTextBlock("Chcę kuchnię.", "Konfiguracja z kalkulatora:\nDługość: 3 mb");
+    const second = mergeTextBlock(first, "Konfiguracja z kalkulatora:\nDługość: 4 mb");
+    assert.equal(second, "Chcę kuchnię.\n\nKonfiguracja z kalkulatora:\nDługość: 4 mb");
+  });
+
+  test("starts from empty text", () => {
+    assert.equal(mergeTextBlock("", "Pytanie z FAQ:\nIle trwa montaż?"), "Pytanie z FAQ:\nIle trwa montaż?");
+  });
+});
+
+describe("findServiceOption", () => {
+  const options = () =>
+    field(`
+      <select>
+        <option value="" disabled>Wybierz</option>
+        <option value="Kuchnia na wymiar">Fitted kitchen</option>
+        <option value="Szafa / garderoba">Wardrobe / walk-in</option>
+        <option value="Inne">Other</option>
+      </select>`).options;
+
+  test("matches the value first, ignoring case and spaces", () => {
+    assert.equal(findServiceOption(options(), "  kuchnia NA wymiar ").value, "Kuchnia na wymiar");
+  });
+
+  test("falls back to part of the translated label", () => {
+    assert.equal(findServiceOption(options(), "wardrobe").value, "Szafa / garderoba");
+  });
+
+  test("null when nothing matches or nothing was asked for", () => {
+    assert.equal(findServiceOption(options(), "Schody"), null);
+    assert.equal(findServiceOption(options(), ""), null);
+    assert.equal(findServiceOption(options(), undefined), null);
+  });
+});